@@ -0,0 +1,647 @@
+-- Schema as it was before migrations were introduced. Databases created with
+-- `npm run db:push` already have it: mark it applied with
+-- `npx prisma migrate resolve --applied 0_init`.
+
+-- CreateEnum
+CREATE TYPE "UserType" AS ENUM ('brand', 'creator', 'admin');
+
+-- CreateEnum
+CREATE TYPE "UserStatus" AS ENUM ('active', 'suspended', 'pending');
+
+-- CreateEnum
+CREATE TYPE "CompanySize" AS ENUM ('1-10', '11-50', '51-200', '201-1000', '1000+');
+
+-- CreateEnum
+CREATE TYPE "AvailabilityStatus" AS ENUM ('available', 'busy', 'unavailable');
+
+-- CreateEnum
+CREATE TYPE "SocialPlatform" AS ENUM ('instagram', 'tiktok', 'youtube', 'twitter', 'facebook');
+
+-- CreateEnum
+CREATE TYPE "CampaignType" AS ENUM ('sponsored_post', 'story', 'video', 'reel', 'review', 'giveaway');
+
+-- CreateEnum
+CREATE TYPE "CampaignStatus" AS ENUM ('draft', 'active', 'paused', 'completed', 'cancelled');
+
+-- CreateEnum
+CREATE TYPE "ApplicationStatus" AS ENUM ('pending', 'accepted', 'rejected', 'withdrawn');
+
+-- CreateEnum
+CREATE TYPE "CollaborationStatus" AS ENUM ('active', 'content_submitted', 'revision_requested', 'approved', 'completed', 'cancelled', 'disputed');
+
+-- CreateEnum
+CREATE TYPE "ContentType" AS ENUM ('image', 'video', 'story', 'reel', 'post');
+
+-- CreateEnum
+CREATE TYPE "ContentStatus" AS ENUM ('draft', 'submitted', 'approved', 'revision_requested', 'rejected');
+
+-- CreateEnum
+CREATE TYPE "ReviewType" AS ENUM ('approval', 'revision', 'rejection');
+
+-- CreateEnum
+CREATE TYPE "PaymentStatus" AS ENUM ('pending', 'processing', 'completed', 'failed', 'refunded');
+
+-- CreateEnum
+CREATE TYPE "PaymentMethod" AS ENUM ('credit_card', 'bank_transfer', 'paypal', 'stripe');
+
+-- CreateEnum
+CREATE TYPE "InvoiceStatus" AS ENUM ('draft', 'sent', 'paid', 'overdue', 'cancelled');
+
+-- CreateEnum
+CREATE TYPE "MessageType" AS ENUM ('text', 'file', 'system');
+
+-- CreateEnum
+CREATE TYPE "ReviewDirection" AS ENUM ('brand_to_creator', 'creator_to_brand');
+
+-- CreateEnum
+CREATE TYPE "SettingType" AS ENUM ('string', 'number', 'boolean', 'json');
+
+-- CreateEnum
+CREATE TYPE "PackageType" AS ENUM ('predefined', 'custom');
+
+-- CreateEnum
+CREATE TYPE "KYCStatus" AS ENUM ('pending', 'verified', 'rejected');
+
+-- CreateEnum
+CREATE TYPE "PortfolioMediaType" AS ENUM ('image', 'video', 'text');
+
+-- CreateTable
+CREATE TABLE "User" (
+    "id" BIGSERIAL NOT NULL,
+    "email" TEXT,
+    "password_hash" TEXT,
+    "user_type" "UserType" NOT NULL,
+    "name" TEXT NOT NULL,
+    "first_name" TEXT,
+    "last_name" TEXT,
+    "profile_image_url" TEXT,
+    "phone" TEXT,
+    "timezone" TEXT,
+    "language" TEXT DEFAULT 'en',
+    "email_verified" BOOLEAN NOT NULL DEFAULT false,
+    "status" "UserStatus" NOT NULL DEFAULT 'pending',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "last_login_at" TIMESTAMP(3),
+    "auth_provider" TEXT DEFAULT 'email',
+    "phone_verified" BOOLEAN NOT NULL DEFAULT false,
+    "onboarding_completed" BOOLEAN NOT NULL DEFAULT false,
+    "onboarding_step" INTEGER DEFAULT 0,
+    "age" INTEGER,
+
+    CONSTRAINT "User_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BrandProfile" (
+    "id" BIGSERIAL NOT NULL,
+    "user_id" BIGINT NOT NULL,
+    "company_name" TEXT NOT NULL,
+    "industry" TEXT,
+    "website_url" TEXT,
+    "description" TEXT,
+    "logo_url" TEXT,
+    "company_size" "CompanySize",
+    "location_country" TEXT,
+    "location_city" TEXT,
+    "verified" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BrandProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CreatorProfile" (
+    "id" BIGSERIAL NOT NULL,
+    "user_id" BIGINT NOT NULL,
+    "email" TEXT,
+    "bio" TEXT,
+    "location_country" TEXT,
+    "location_city" TEXT,
+    "location_state" TEXT,
+    "location_pincode" TEXT,
+    "content_categories" JSONB,
+    "min_rate" DECIMAL(65,30),
+    "max_rate" DECIMAL(65,30),
+    "rate_currency" TEXT DEFAULT 'USD',
+    "availability_status" "AvailabilityStatus" DEFAULT 'available',
+    "verified" BOOLEAN NOT NULL DEFAULT false,
+    "featured" BOOLEAN NOT NULL DEFAULT false,
+    "rating" DECIMAL(65,30) DEFAULT 0.00,
+    "total_collaborations" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+    "average_response_time" TEXT,
+    "date_of_birth" TIMESTAMP(3),
+    "gender" TEXT,
+    "social_platforms" JSONB,
+    "follower_count" BIGINT DEFAULT 0,
+    "availability" TEXT,
+    "collaboration_types" JSONB,
+    "interests" JSONB,
+
+    CONSTRAINT "CreatorProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SocialMediaAccount" (
+    "id" BIGSERIAL NOT NULL,
+    "creator_id" BIGINT NOT NULL,
+    "platform" "SocialPlatform" NOT NULL,
+    "username" TEXT NOT NULL,
+    "url" TEXT,
+    "follower_count" BIGINT NOT NULL DEFAULT 0,
+    "engagement_rate" DECIMAL(65,30) NOT NULL DEFAULT 0.00,
+    "avg_views" BIGINT NOT NULL DEFAULT 0,
+    "verified" BOOLEAN NOT NULL DEFAULT false,
+    "last_updated" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SocialMediaAccount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Campaign" (
+    "id" BIGSERIAL NOT NULL,
+    "brand_id" BIGINT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "campaign_type" "CampaignType" NOT NULL,
+    "target_platforms" JSONB,
+    "budget_min" DECIMAL(65,30),
+    "budget_max" DECIMAL(65,30),
+    "currency" TEXT DEFAULT 'USD',
+    "target_demographics" JSONB,
+    "required_follower_count_min" BIGINT NOT NULL DEFAULT 0,
+    "required_follower_count_max" BIGINT,
+    "content_guidelines" TEXT,
+    "hashtags" JSONB,
+    "mentions" JSONB,
+    "deliverables" JSONB,
+    "deadline" TIMESTAMP(3),
+    "status" "CampaignStatus" NOT NULL DEFAULT 'draft',
+    "applications_count" INTEGER NOT NULL DEFAULT 0,
+    "max_collaborators" INTEGER NOT NULL DEFAULT 1,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Campaign_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CampaignApplication" (
+    "id" BIGSERIAL NOT NULL,
+    "campaign_id" BIGINT NOT NULL,
+    "creator_id" BIGINT NOT NULL,
+    "proposed_rate" DECIMAL(65,30) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "pitch_message" TEXT,
+    "portfolio_links" JSONB,
+    "estimated_delivery_date" TIMESTAMP(3),
+    "status" "ApplicationStatus" NOT NULL DEFAULT 'pending',
+    "applied_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "responded_at" TIMESTAMP(3),
+
+    CONSTRAINT "CampaignApplication_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Collaboration" (
+    "id" BIGSERIAL NOT NULL,
+    "campaign_id" BIGINT NOT NULL,
+    "brand_id" BIGINT NOT NULL,
+    "creator_id" BIGINT NOT NULL,
+    "application_id" BIGINT NOT NULL,
+    "agreed_rate" DECIMAL(65,30) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "contract_terms" TEXT,
+    "deadline" TIMESTAMP(3),
+    "status" "CollaborationStatus" NOT NULL DEFAULT 'active',
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completed_at" TIMESTAMP(3),
+
+    CONSTRAINT "Collaboration_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ContentSubmission" (
+    "id" BIGSERIAL NOT NULL,
+    "collaboration_id" BIGINT NOT NULL,
+    "admin_id" BIGINT NOT NULL,
+    "content_type" "ContentType" NOT NULL,
+    "content_url" TEXT,
+    "caption" TEXT,
+    "hashtags" JSONB,
+    "mentions" JSONB,
+    "platform" "SocialPlatform" NOT NULL,
+    "submission_notes" TEXT,
+    "status" "ContentStatus" NOT NULL DEFAULT 'draft',
+    "submitted_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reviewed_at" TIMESTAMP(3),
+    "published_at" TIMESTAMP(3),
+    "post_url" TEXT,
+
+    CONSTRAINT "ContentSubmission_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ContentReview" (
+    "id" BIGSERIAL NOT NULL,
+    "content_submission_id" BIGINT NOT NULL,
+    "reviewer_id" BIGINT NOT NULL,
+    "review_type" "ReviewType" NOT NULL,
+    "feedback" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContentReview_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Payment" (
+    "id" BIGSERIAL NOT NULL,
+    "collaboration_id" BIGINT NOT NULL,
+    "payer_id" BIGINT NOT NULL,
+    "payee_id" BIGINT NOT NULL,
+    "admin_id" BIGINT NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "platform_fee" DECIMAL(65,30) NOT NULL DEFAULT 0.00,
+    "net_amount" DECIMAL(65,30) NOT NULL,
+    "payment_method" "PaymentMethod" NOT NULL,
+    "transaction_id" TEXT,
+    "status" "PaymentStatus" NOT NULL DEFAULT 'pending',
+    "initiated_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completed_at" TIMESTAMP(3),
+    "failure_reason" TEXT,
+
+    CONSTRAINT "Payment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Invoice" (
+    "id" BIGSERIAL NOT NULL,
+    "collaboration_id" BIGINT NOT NULL,
+    "brand_id" BIGINT NOT NULL,
+    "creator_id" BIGINT NOT NULL,
+    "invoice_number" TEXT NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "tax_amount" DECIMAL(65,30) NOT NULL DEFAULT 0.00,
+    "total_amount" DECIMAL(65,30) NOT NULL,
+    "due_date" TIMESTAMP(3) NOT NULL,
+    "status" "InvoiceStatus" NOT NULL DEFAULT 'draft',
+    "issued_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "paid_at" TIMESTAMP(3),
+
+    CONSTRAINT "Invoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Message" (
+    "id" BIGSERIAL NOT NULL,
+    "channel_id" BIGINT NOT NULL,
+    "sender_id" BIGINT NOT NULL,
+    "message_text" TEXT NOT NULL,
+    "message_type" "MessageType" NOT NULL DEFAULT 'text',
+    "file_url" TEXT,
+    "file_name" TEXT,
+    "read_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Message_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Review" (
+    "id" BIGSERIAL NOT NULL,
+    "collaboration_id" BIGINT NOT NULL,
+    "reviewer_id" BIGINT NOT NULL,
+    "reviewed_id" BIGINT NOT NULL,
+    "rating" INTEGER NOT NULL,
+    "review_text" TEXT,
+    "review_type" "ReviewDirection" NOT NULL,
+    "is_public" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Review_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CampaignAnalytics" (
+    "id" BIGSERIAL NOT NULL,
+    "campaign_id" BIGINT NOT NULL,
+    "metric_name" TEXT NOT NULL,
+    "metric_value" BIGINT NOT NULL,
+    "recorded_date" TIMESTAMP(3) NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CampaignAnalytics_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ContentPerformance" (
+    "id" BIGSERIAL NOT NULL,
+    "content_submission_id" BIGINT NOT NULL,
+    "platform" "SocialPlatform" NOT NULL,
+    "likes_count" BIGINT NOT NULL DEFAULT 0,
+    "comments_count" BIGINT NOT NULL DEFAULT 0,
+    "shares_count" BIGINT NOT NULL DEFAULT 0,
+    "views_count" BIGINT NOT NULL DEFAULT 0,
+    "reach_count" BIGINT NOT NULL DEFAULT 0,
+    "engagement_rate" DECIMAL(65,30) NOT NULL DEFAULT 0.00,
+    "recorded_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContentPerformance_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Category" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "description" TEXT,
+    "parent_id" INTEGER,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Category_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Notification" (
+    "id" BIGSERIAL NOT NULL,
+    "user_id" BIGINT NOT NULL,
+    "type" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "data" JSONB,
+    "read_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Notification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PlatformSetting" (
+    "id" SERIAL NOT NULL,
+    "setting_key" TEXT NOT NULL,
+    "setting_value" TEXT NOT NULL,
+    "setting_type" "SettingType" NOT NULL DEFAULT 'string',
+    "description" TEXT,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PlatformSetting_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CollaborationChannel" (
+    "id" BIGSERIAL NOT NULL,
+    "collaboration_id" BIGINT NOT NULL,
+    "admin_id" BIGINT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CollaborationChannel_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Package" (
+    "id" BIGSERIAL NOT NULL,
+    "collaboration_id" BIGINT NOT NULL,
+    "admin_id" BIGINT NOT NULL,
+    "type" "PackageType" NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "price" DECIMAL(65,30) NOT NULL,
+    "deliverables" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Package_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PhoneVerification" (
+    "id" BIGSERIAL NOT NULL,
+    "user_id" BIGINT,
+    "phone" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "token" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "verified_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PhoneVerification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "KYC" (
+    "id" BIGSERIAL NOT NULL,
+    "creator_id" BIGINT NOT NULL,
+    "document_type" TEXT NOT NULL,
+    "document_number" TEXT NOT NULL,
+    "document_front_url" TEXT,
+    "document_back_url" TEXT,
+    "selfie_url" TEXT,
+    "bank_account_number" TEXT,
+    "bank_ifsc_code" TEXT,
+    "bank_account_holder" TEXT,
+    "bank_name" TEXT,
+    "status" "KYCStatus" NOT NULL DEFAULT 'pending',
+    "submitted_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "verified_at" TIMESTAMP(3),
+    "rejected_at" TIMESTAMP(3),
+    "rejection_reason" TEXT,
+    "verified_by" BIGINT,
+
+    CONSTRAINT "KYC_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PortfolioItem" (
+    "id" BIGSERIAL NOT NULL,
+    "creator_id" BIGINT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "media_url" TEXT NOT NULL,
+    "media_type" "PortfolioMediaType" NOT NULL,
+    "platform" "SocialPlatform",
+    "tags" JSONB,
+    "is_featured" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PortfolioItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_email_key" ON "User"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_phone_key" ON "User"("phone");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CreatorProfile_user_id_key" ON "CreatorProfile"("user_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SocialMediaAccount_creator_id_platform_key" ON "SocialMediaAccount"("creator_id", "platform");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CampaignApplication_campaign_id_creator_id_key" ON "CampaignApplication"("campaign_id", "creator_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Collaboration_application_id_key" ON "Collaboration"("application_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_invoice_number_key" ON "Invoice"("invoice_number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Review_collaboration_id_reviewer_id_key" ON "Review"("collaboration_id", "reviewer_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CampaignAnalytics_campaign_id_metric_name_recorded_date_key" ON "CampaignAnalytics"("campaign_id", "metric_name", "recorded_date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Category_slug_key" ON "Category"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PlatformSetting_setting_key_key" ON "PlatformSetting"("setting_key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CollaborationChannel_collaboration_id_key" ON "CollaborationChannel"("collaboration_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PhoneVerification_token_key" ON "PhoneVerification"("token");
+
+-- CreateIndex
+CREATE INDEX "PhoneVerification_phone_code_idx" ON "PhoneVerification"("phone", "code");
+
+-- CreateIndex
+CREATE INDEX "PhoneVerification_token_idx" ON "PhoneVerification"("token");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "KYC_creator_id_key" ON "KYC"("creator_id");
+
+-- CreateIndex
+CREATE INDEX "KYC_status_idx" ON "KYC"("status");
+
+-- CreateIndex
+CREATE INDEX "PortfolioItem_creator_id_idx" ON "PortfolioItem"("creator_id");
+
+-- CreateIndex
+CREATE INDEX "PortfolioItem_media_type_idx" ON "PortfolioItem"("media_type");
+
+-- AddForeignKey
+ALTER TABLE "BrandProfile" ADD CONSTRAINT "BrandProfile_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CreatorProfile" ADD CONSTRAINT "CreatorProfile_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SocialMediaAccount" ADD CONSTRAINT "SocialMediaAccount_creator_id_fkey" FOREIGN KEY ("creator_id") REFERENCES "CreatorProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Campaign" ADD CONSTRAINT "Campaign_brand_id_fkey" FOREIGN KEY ("brand_id") REFERENCES "BrandProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CampaignApplication" ADD CONSTRAINT "CampaignApplication_campaign_id_fkey" FOREIGN KEY ("campaign_id") REFERENCES "Campaign"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CampaignApplication" ADD CONSTRAINT "CampaignApplication_creator_id_fkey" FOREIGN KEY ("creator_id") REFERENCES "CreatorProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Collaboration" ADD CONSTRAINT "Collaboration_application_id_fkey" FOREIGN KEY ("application_id") REFERENCES "CampaignApplication"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Collaboration" ADD CONSTRAINT "Collaboration_brand_id_fkey" FOREIGN KEY ("brand_id") REFERENCES "BrandProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Collaboration" ADD CONSTRAINT "Collaboration_campaign_id_fkey" FOREIGN KEY ("campaign_id") REFERENCES "Campaign"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Collaboration" ADD CONSTRAINT "Collaboration_creator_id_fkey" FOREIGN KEY ("creator_id") REFERENCES "CreatorProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContentSubmission" ADD CONSTRAINT "ContentSubmission_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContentSubmission" ADD CONSTRAINT "ContentSubmission_collaboration_id_fkey" FOREIGN KEY ("collaboration_id") REFERENCES "Collaboration"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContentReview" ADD CONSTRAINT "ContentReview_content_submission_id_fkey" FOREIGN KEY ("content_submission_id") REFERENCES "ContentSubmission"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContentReview" ADD CONSTRAINT "ContentReview_reviewer_id_fkey" FOREIGN KEY ("reviewer_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_collaboration_id_fkey" FOREIGN KEY ("collaboration_id") REFERENCES "Collaboration"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_payee_id_fkey" FOREIGN KEY ("payee_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_payer_id_fkey" FOREIGN KEY ("payer_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_brand_id_fkey" FOREIGN KEY ("brand_id") REFERENCES "BrandProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_collaboration_id_fkey" FOREIGN KEY ("collaboration_id") REFERENCES "Collaboration"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_creator_id_fkey" FOREIGN KEY ("creator_id") REFERENCES "CreatorProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_channel_id_fkey" FOREIGN KEY ("channel_id") REFERENCES "CollaborationChannel"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_sender_id_fkey" FOREIGN KEY ("sender_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Review" ADD CONSTRAINT "Review_collaboration_id_fkey" FOREIGN KEY ("collaboration_id") REFERENCES "Collaboration"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Review" ADD CONSTRAINT "Review_reviewed_id_fkey" FOREIGN KEY ("reviewed_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Review" ADD CONSTRAINT "Review_reviewer_id_fkey" FOREIGN KEY ("reviewer_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CampaignAnalytics" ADD CONSTRAINT "CampaignAnalytics_campaign_id_fkey" FOREIGN KEY ("campaign_id") REFERENCES "Campaign"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContentPerformance" ADD CONSTRAINT "ContentPerformance_content_submission_id_fkey" FOREIGN KEY ("content_submission_id") REFERENCES "ContentSubmission"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Category" ADD CONSTRAINT "Category_parent_id_fkey" FOREIGN KEY ("parent_id") REFERENCES "Category"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Notification" ADD CONSTRAINT "Notification_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CollaborationChannel" ADD CONSTRAINT "CollaborationChannel_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CollaborationChannel" ADD CONSTRAINT "CollaborationChannel_collaboration_id_fkey" FOREIGN KEY ("collaboration_id") REFERENCES "Collaboration"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Package" ADD CONSTRAINT "Package_admin_id_fkey" FOREIGN KEY ("admin_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Package" ADD CONSTRAINT "Package_collaboration_id_fkey" FOREIGN KEY ("collaboration_id") REFERENCES "Collaboration"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PhoneVerification" ADD CONSTRAINT "PhoneVerification_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KYC" ADD CONSTRAINT "KYC_creator_id_fkey" FOREIGN KEY ("creator_id") REFERENCES "CreatorProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KYC" ADD CONSTRAINT "KYC_verified_by_fkey" FOREIGN KEY ("verified_by") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PortfolioItem" ADD CONSTRAINT "PortfolioItem_creator_id_fkey" FOREIGN KEY ("creator_id") REFERENCES "CreatorProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
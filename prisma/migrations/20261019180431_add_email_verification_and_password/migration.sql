@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "EmailTokenPurpose" AS ENUM ('verify_email', 'password_reset');
+
+-- CreateTable
+CREATE TABLE "EmailToken" (
+    "id" BIGSERIAL NOT NULL,
+    "user_id" BIGINT NOT NULL,
+    "email" TEXT NOT NULL,
+    "purpose" "EmailTokenPurpose" NOT NULL,
+    "token_hash" TEXT NOT NULL,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "EmailToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EmailToken_token_hash_key" ON "EmailToken"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "EmailToken_user_id_purpose_idx" ON "EmailToken"("user_id", "purpose");
+
+-- AddForeignKey
+ALTER TABLE "EmailToken" ADD CONSTRAINT "EmailToken_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- DropIndex
+DROP INDEX "PhoneVerification_phone_code_idx";
+
+-- AlterTable
+ALTER TABLE "PhoneVerification" DROP COLUMN "code",
+ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "code_hash" TEXT NOT NULL,
+ADD COLUMN     "invalidated_at" TIMESTAMP(3),
+ADD COLUMN     "ip_address" TEXT;
+
+-- CreateTable
+CREATE TABLE "OtpThrottle" (
+    "id" BIGSERIAL NOT NULL,
+    "scope" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "failed_attempts" INTEGER NOT NULL DEFAULT 0,
+    "lockout_count" INTEGER NOT NULL DEFAULT 0,
+    "locked_until" TIMESTAMP(3),
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OtpThrottle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OtpThrottle_scope_key_key" ON "OtpThrottle"("scope", "key");
+
+-- CreateIndex
+CREATE INDEX "PhoneVerification_phone_created_at_idx" ON "PhoneVerification"("phone", "created_at");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PhoneVerification" ALTER COLUMN "code_hash" DROP NOT NULL;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "deleted_at" TIMESTAMP(3),
+ADD COLUMN     "deletion_requested_at" TIMESTAMP(3),
+ADD COLUMN     "deletion_scheduled_for" TIMESTAMP(3);
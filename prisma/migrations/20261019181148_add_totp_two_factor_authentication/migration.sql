@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "totp_enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "totp_enabled_at" TIMESTAMP(3),
+ADD COLUMN     "totp_last_step" INTEGER,
+ADD COLUMN     "totp_secret" TEXT;
+
+-- CreateTable
+CREATE TABLE "TwoFactorBackupCode" (
+    "id" BIGSERIAL NOT NULL,
+    "user_id" BIGINT NOT NULL,
+    "code_hash" TEXT NOT NULL,
+    "used_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TwoFactorBackupCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TwoFactorBackupCode_user_id_idx" ON "TwoFactorBackupCode"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "TwoFactorBackupCode" ADD CONSTRAINT "TwoFactorBackupCode_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "CreatorProfile" ADD COLUMN     "handle" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CreatorProfile_handle_key" ON "CreatorProfile"("handle");
@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "CreatorPackageStatus" AS ENUM ('active', 'paused', 'archived');
+
+-- CreateTable
+CREATE TABLE "CreatorPackage" (
+    "id" BIGSERIAL NOT NULL,
+    "creator_id" BIGINT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "platform" "SocialPlatform" NOT NULL,
+    "content_type" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "revisions" INTEGER NOT NULL DEFAULT 0,
+    "duration" TEXT,
+    "price" DECIMAL(65,30) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'INR',
+    "status" "CreatorPackageStatus" NOT NULL DEFAULT 'active',
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CreatorPackage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CreatorPackage_creator_id_status_position_idx" ON "CreatorPackage"("creator_id", "status", "position");
+
+-- AddForeignKey
+ALTER TABLE "CreatorPackage" ADD CONSTRAINT "CreatorPackage_creator_id_fkey" FOREIGN KEY ("creator_id") REFERENCES "CreatorProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "MediaPurpose" AS ENUM ('avatar', 'portfolio', 'kyc', 'message_attachment');
+
+-- AlterTable
+ALTER TABLE "KYC" ADD COLUMN     "back_media_id" BIGINT,
+ADD COLUMN     "front_media_id" BIGINT,
+ADD COLUMN     "selfie_media_id" BIGINT;
+
+-- AlterTable
+ALTER TABLE "PortfolioItem" ADD COLUMN     "media_id" BIGINT;
+
+-- CreateTable
+CREATE TABLE "Media" (
+    "id" BIGSERIAL NOT NULL,
+    "owner_id" BIGINT NOT NULL,
+    "purpose" "MediaPurpose" NOT NULL,
+    "storage_driver" TEXT NOT NULL,
+    "storage_key" TEXT NOT NULL,
+    "mime_type" TEXT NOT NULL,
+    "size_bytes" INTEGER NOT NULL,
+    "original_name" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Media_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Media_storage_key_key" ON "Media"("storage_key");
+
+-- CreateIndex
+CREATE INDEX "Media_owner_id_purpose_idx" ON "Media"("owner_id", "purpose");
+
+-- AddForeignKey
+ALTER TABLE "Media" ADD CONSTRAINT "Media_owner_id_fkey" FOREIGN KEY ("owner_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KYC" ADD CONSTRAINT "KYC_front_media_id_fkey" FOREIGN KEY ("front_media_id") REFERENCES "Media"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KYC" ADD CONSTRAINT "KYC_back_media_id_fkey" FOREIGN KEY ("back_media_id") REFERENCES "Media"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KYC" ADD CONSTRAINT "KYC_selfie_media_id_fkey" FOREIGN KEY ("selfie_media_id") REFERENCES "Media"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PortfolioItem" ADD CONSTRAINT "PortfolioItem_media_id_fkey" FOREIGN KEY ("media_id") REFERENCES "Media"("id") ON DELETE SET NULL ON UPDATE CASCADE;
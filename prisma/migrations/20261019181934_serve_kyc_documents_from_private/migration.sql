@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "MediaAccessAction" AS ENUM ('link_issued', 'downloaded');
+
+-- CreateTable
+CREATE TABLE "MediaAccessLog" (
+    "id" BIGSERIAL NOT NULL,
+    "media_id" BIGINT NOT NULL,
+    "user_id" BIGINT,
+    "action" "MediaAccessAction" NOT NULL,
+    "ip_address" TEXT,
+    "user_agent" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MediaAccessLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MediaAccessLog_media_id_created_at_idx" ON "MediaAccessLog"("media_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "MediaAccessLog" ADD CONSTRAINT "MediaAccessLog_media_id_fkey" FOREIGN KEY ("media_id") REFERENCES "Media"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MediaAccessLog" ADD CONSTRAINT "MediaAccessLog_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "KYC" ADD COLUMN     "document_hash" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "KYC_document_hash_key" ON "KYC"("document_hash");
@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "PayoutMethodType" AS ENUM ('bank_account', 'upi');
+
+-- CreateEnum
+CREATE TYPE "PayoutMethodStatus" AS ENUM ('pending', 'verified');
+
+-- AlterTable
+ALTER TABLE "KYC" ADD COLUMN     "holder_name" TEXT;
+
+-- CreateTable
+CREATE TABLE "PayoutMethod" (
+    "id" BIGSERIAL NOT NULL,
+    "creator_id" BIGINT NOT NULL,
+    "type" "PayoutMethodType" NOT NULL,
+    "status" "PayoutMethodStatus" NOT NULL DEFAULT 'pending',
+    "account_holder_name" TEXT NOT NULL,
+    "account_number" TEXT,
+    "ifsc_code" TEXT,
+    "bank_name" TEXT,
+    "branch_name" TEXT,
+    "upi_id" TEXT,
+    "name_matched" BOOLEAN NOT NULL DEFAULT false,
+    "is_primary" BOOLEAN NOT NULL DEFAULT false,
+    "usable_from" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "verified_at" TIMESTAMP(3),
+    "removed_at" TIMESTAMP(3),
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PayoutMethod_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PayoutMethod_creator_id_removed_at_idx" ON "PayoutMethod"("creator_id", "removed_at");
+
+-- AddForeignKey
+ALTER TABLE "PayoutMethod" ADD CONSTRAINT "PayoutMethod_creator_id_fkey" FOREIGN KEY ("creator_id") REFERENCES "CreatorProfile"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
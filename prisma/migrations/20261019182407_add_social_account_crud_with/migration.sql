@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "SocialAccountStat" (
+    "id" BIGSERIAL NOT NULL,
+    "account_id" BIGINT NOT NULL,
+    "follower_count" BIGINT NOT NULL,
+    "engagement_rate" DECIMAL(65,30) NOT NULL,
+    "avg_views" BIGINT NOT NULL,
+    "recorded_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SocialAccountStat_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SocialAccountStat_account_id_recorded_at_idx" ON "SocialAccountStat"("account_id", "recorded_at");
+
+-- AddForeignKey
+ALTER TABLE "SocialAccountStat" ADD CONSTRAINT "SocialAccountStat_account_id_fkey" FOREIGN KEY ("account_id") REFERENCES "SocialMediaAccount"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "SocialMediaAccount" ADD COLUMN     "verification_code" TEXT,
+ADD COLUMN     "verification_code_expires_at" TIMESTAMP(3),
+ADD COLUMN     "verification_method" TEXT,
+ADD COLUMN     "verified_at" TIMESTAMP(3);
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "BrandProfile" ADD COLUMN     "location_pincode" TEXT,
+ADD COLUMN     "location_state" TEXT;
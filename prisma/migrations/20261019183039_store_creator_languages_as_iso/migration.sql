@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CreatorProfile" ADD COLUMN     "languages" JSONB;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "KYC" ADD COLUMN     "document_masked" TEXT;
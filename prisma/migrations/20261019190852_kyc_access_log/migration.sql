@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "KycAccessLog" (
+    "id" BIGSERIAL NOT NULL,
+    "kyc_id" BIGINT NOT NULL,
+    "user_id" BIGINT NOT NULL,
+    "ip_address" TEXT,
+    "user_agent" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "KycAccessLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "KycAccessLog_kyc_id_created_at_idx" ON "KycAccessLog"("kyc_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "KycAccessLog" ADD CONSTRAINT "KycAccessLog_kyc_id_fkey" FOREIGN KEY ("kyc_id") REFERENCES "KYC"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "KycAccessLog" ADD CONSTRAINT "KycAccessLog_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
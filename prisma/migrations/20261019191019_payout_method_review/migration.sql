@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "PayoutMethodStatus" ADD VALUE 'in_review';
+
+-- AlterTable
+ALTER TABLE "PayoutMethod" ALTER COLUMN "name_matched" DROP NOT NULL,
+ALTER COLUMN "name_matched" DROP DEFAULT;
@@ -0,0 +1,14 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+
+const { applyDuePayoutMethods } = require('../src/services/payoutService');
+
+// Run hourly (e.g. from cron) so primary payout methods take effect once their cooling period ends
+applyDuePayoutMethods()
+  .then(count => {
+    console.log(`✅ Applied ${count} primary payout method(s)`);
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Applying payout methods failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,30 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+
+const { PrismaClient } = require('../src/generated/client');
+const { ensureCreatorHandle } = require('../src/services/handleService');
+
+const prisma = new PrismaClient();
+
+// One-off: give every creator profile created before handles existed a handle
+const backfill = async () => {
+  const profiles = await prisma.creatorProfile.findMany({
+    where: { handle: null },
+    include: { user: true }
+  });
+
+  for (const profile of profiles) {
+    await ensureCreatorHandle(profile, profile.user.name);
+  }
+
+  return profiles.length;
+};
+
+backfill()
+  .then(count => {
+    console.log(`✅ Assigned handles to ${count} creator profile(s)`);
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Handle backfill failed:', error);
+    process.exit(1);
+  });
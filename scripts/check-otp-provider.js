@@ -0,0 +1,26 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+
+const { getOtpProvider } = require('../src/services/otp');
+
+console.log('=== OTP Provider Configuration Check ===');
+console.log('OTP_PROVIDER:', process.env.OTP_PROVIDER || '(not set; database, required in production)');
+
+let provider;
+try {
+  provider = getOtpProvider();
+  console.log(`✅ ${provider.name} provider created successfully`);
+} catch (error) {
+  console.log('❌ Failed to create OTP provider:', error.message);
+  process.exit(1);
+}
+
+provider.checkConfiguration()
+  .then(({ ok, details }) => {
+    details.forEach(detail => console.log(`${ok ? '✅' : '⚠️ '} ${detail}`));
+    console.log(ok ? '\n=== Check Passed ===' : '\n=== Check Failed ===');
+    process.exit(ok ? 0 : 1);
+  })
+  .catch(error => {
+    console.log('❌ Configuration check failed:', error.message);
+    process.exit(1);
+  });
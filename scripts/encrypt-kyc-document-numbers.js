@@ -0,0 +1,41 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+
+const { PrismaClient } = require('../src/generated/client');
+const { documentNumberFields } = require('../src/services/kycService');
+
+const prisma = new PrismaClient();
+
+// One-off: submissions made before document numbers were encrypted hold the number
+// in plaintext and have no masked copy. Encrypt them in place. Encrypted values
+// contain '.', which normalized document numbers never do, so a row is never
+// encrypted twice and the script can be run again.
+const encrypt = async () => {
+  const records = await prisma.kYC.findMany({
+    where: { document_masked: null },
+    select: { id: true, document_number: true }
+  });
+
+  let encrypted = 0;
+
+  for (const kyc of records) {
+    if (kyc.document_number.includes('.')) continue;
+
+    await prisma.kYC.update({
+      where: { id: kyc.id },
+      data: documentNumberFields(kyc.document_number)
+    });
+    encrypted++;
+  }
+
+  return encrypted;
+};
+
+encrypt()
+  .then(count => {
+    console.log(`✅ Encrypted ${count} KYC document number(s)`);
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ KYC document number encryption failed:', error);
+    process.exit(1);
+  });
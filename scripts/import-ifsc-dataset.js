@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsvLine } = require('./lib/csv');
+
+// Fill src/data/ifsc.json from the razorpay/ifsc releases: branch codes from IFSC.json
+// (bank code -> issued branch codes, as in the `ifsc` npm package) or branch details
+// from IFSC.csv (columns include BANK, IFSC, BRANCH, CITY, STATE).
+// Usage: npm run ifsc:import -- /path/to/IFSC.json | /path/to/IFSC.csv
+const OUTPUT = path.resolve(__dirname, '../src/data/ifsc.json');
+
+const titleCase = (value) => value.toLowerCase().replace(/\b\w/g, char => char.toUpperCase()).trim();
+
+// Branch codes are stored per bank as one comma-separated string to keep the file small
+const writeDataset = ({ banks, branchCodes = {}, branches = {} }) => {
+  const lines = [
+    '{',
+    `  "banks": ${JSON.stringify(banks, null, 2).replace(/\n/g, '\n  ')},`,
+    '  "branchCodes": {',
+    Object.keys(branchCodes).sort()
+      .map(bankCode => `    ${JSON.stringify(bankCode)}: ${JSON.stringify(branchCodes[bankCode])}`)
+      .join(',\n'),
+    '  },',
+    `  "branches": ${JSON.stringify(branches, null, 2).replace(/\n/g, '\n  ')}`,
+    '}'
+  ];
+  fs.writeFileSync(OUTPUT, lines.join('\n') + '\n');
+};
+
+// Numeric branch codes are listed as numbers in IFSC.json, so restore their zero padding
+const importBranchCodes = (jsonPath) => {
+  const existing = JSON.parse(fs.readFileSync(OUTPUT, 'utf8'));
+  const issued = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+  const branchCodes = {};
+  let count = 0;
+
+  for (const [bankCode, codes] of Object.entries(issued)) {
+    const padded = codes.map(code => String(code).toUpperCase().padStart(6, '0'));
+    branchCodes[bankCode] = [...new Set(padded)].sort().join(',');
+    count += padded.length;
+  }
+
+  writeDataset({ ...existing, branchCodes });
+  return count;
+};
+
+const importBranchDetails = (csvPath) => {
+  const [header, ...lines] = fs.readFileSync(csvPath, 'utf8').split(/\r?\n/).filter(Boolean);
+  const columns = parseCsvLine(header).map(column => column.trim().toUpperCase());
+  const column = (name) => {
+    const index = columns.indexOf(name);
+    if (index === -1) throw new Error(`Column ${name} not found in ${csvPath}`);
+    return index;
+  };
+  const [bankIndex, ifscIndex, branchIndex, cityIndex, stateIndex] = ['BANK', 'IFSC', 'BRANCH', 'CITY', 'STATE'].map(column);
+
+  // Keep the bundled bank names; the CSV fills in any that are missing
+  const existing = JSON.parse(fs.readFileSync(OUTPUT, 'utf8'));
+  const banks = { ...existing.banks };
+  const branches = {};
+
+  for (const line of lines) {
+    const fields = parseCsvLine(line);
+    const ifsc = (fields[ifscIndex] || '').trim().toUpperCase();
+    if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc)) continue;
+
+    const bankCode = ifsc.slice(0, 4);
+    if (!banks[bankCode] && fields[bankIndex]) banks[bankCode] = fields[bankIndex].trim();
+
+    branches[ifsc] = {
+      branch: titleCase(fields[branchIndex] || ''),
+      city: titleCase(fields[cityIndex] || ''),
+      state: titleCase(fields[stateIndex] || '')
+    };
+  }
+
+  writeDataset({ ...existing, banks, branches });
+  return Object.keys(branches).length;
+};
+
+try {
+  const inputPath = process.argv[2];
+  if (!inputPath) {
+    throw new Error('Usage: npm run ifsc:import -- /path/to/IFSC.json | /path/to/IFSC.csv');
+  }
+  const count = inputPath.endsWith('.json')
+    ? importBranchCodes(path.resolve(inputPath))
+    : importBranchDetails(path.resolve(inputPath));
+  console.log(`✅ Imported ${count} IFSC branch(es) into ${OUTPUT}`);
+  process.exit(0);
+} catch (error) {
+  console.error('❌ IFSC import failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsvLine } = require('./lib/csv');
+
+// Fill the pincodes in src/data/pincodes.json from the India Post "All India Pincode
+// Directory" CSV (columns include PINCODE, DISTRICT, STATENAME). The directory lists
+// post offices, not cities, so imported pincodes use the district as their city
+// ("Bengaluru Urban" becomes "Bengaluru"). The directory has one row per post office
+// and a few rows with the wrong district or state: each pincode takes the district
+// most of its offices list, ignoring rows in a state its prefix is not used in.
+// Usage: npm run pincodes:import -- /path/to/pincode_directory.csv
+const OUTPUT = path.resolve(__dirname, '../src/data/pincodes.json');
+
+const titleCase = (value) => value.toLowerCase().replace(/\b\w/g, char => char.toUpperCase()).trim();
+
+const importDataset = (csvPath) => {
+  const [header, ...lines] = fs.readFileSync(csvPath, 'utf8').split(/\r?\n/).filter(Boolean);
+  const columns = parseCsvLine(header).map(column => column.trim().toUpperCase());
+  const column = (name) => {
+    const index = columns.indexOf(name);
+    if (index === -1) throw new Error(`Column ${name} not found in ${csvPath}`);
+    return index;
+  };
+  const [pincodeIndex, districtIndex, stateIndex] = ['PINCODE', 'DISTRICT', 'STATENAME'].map(column);
+
+  // Keep the bundled entries (they have proper city names); the CSV adds the rest
+  const existing = JSON.parse(fs.readFileSync(OUTPUT, 'utf8'));
+  const canonicalState = (name) => {
+    const key = name.trim().toLowerCase().replace(/\s+/g, ' ');
+    return existing.states.find(state => state.toLowerCase() === key) || existing.stateAliases[key] || null;
+  };
+
+  const prefixStates = (pincode) => existing.prefixes[pincode.slice(0, 3)] || existing.prefixes[pincode.slice(0, 2)] || [];
+
+  // pincode -> "district|state" -> number of offices
+  const counts = new Map();
+
+  for (const line of lines) {
+    const fields = parseCsvLine(line);
+    const pincode = (fields[pincodeIndex] || '').trim();
+    if (!/^[1-8][0-9]{5}$/.test(pincode) || existing.pincodes[pincode]) continue;
+
+    const state = canonicalState(fields[stateIndex] || '');
+    const district = titleCase(fields[districtIndex] || '');
+    if (!state || !district || !prefixStates(pincode).includes(state)) continue;
+
+    if (!counts.has(pincode)) counts.set(pincode, new Map());
+    const key = `${district}|${state}`;
+    counts.get(pincode).set(key, (counts.get(pincode).get(key) || 0) + 1);
+  }
+
+  const pincodes = {};
+  for (const [pincode, candidates] of counts) {
+    const [best] = [...candidates].sort((a, b) => b[1] - a[1]);
+    const [district, state] = best[0].split('|');
+    pincodes[pincode] = { city: district.replace(/ Urban$/, ''), district, state };
+  }
+  const added = counts.size;
+
+  const merged = Object.fromEntries(
+    Object.entries({ ...pincodes, ...existing.pincodes }).sort(([a], [b]) => a.localeCompare(b))
+  );
+  fs.writeFileSync(OUTPUT, JSON.stringify({ ...existing, pincodes: merged }, null, 2) + '\n');
+  return added;
+};
+
+try {
+  const csvPath = process.argv[2];
+  if (!csvPath) {
+    throw new Error('Usage: npm run pincodes:import -- /path/to/pincode_directory.csv');
+  }
+  const count = importDataset(path.resolve(csvPath));
+  console.log(`✅ Imported ${count} pincode(s) into ${OUTPUT}`);
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Pincode import failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,80 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+
+const { PrismaClient, Prisma } = require('../src/generated/client');
+const { getCategoryTree, slugifyCategory, normalizeCategorySlug } = require('../src/services/categoryService');
+
+const prisma = new PrismaClient();
+
+// Active category slugs keyed by their slug, slugified name and lowercase name
+const categoryLookup = async () => {
+  const lookup = new Map();
+  const collect = (nodes) => nodes.forEach(node => {
+    for (const key of [node.slug, slugifyCategory(node.name), node.name.trim().toLowerCase()]) {
+      if (!lookup.has(key)) lookup.set(key, node.slug);
+    }
+    collect(node.children);
+  });
+  collect(await getCategoryTree());
+  return lookup;
+};
+
+const matchCategory = (lookup, entry) => {
+  return lookup.get(normalizeCategorySlug(entry))
+    || lookup.get(slugifyCategory(entry))
+    || lookup.get(String(entry || '').trim().toLowerCase())
+    || null;
+};
+
+// One-off: content_categories used to be free text ("Food & Travel", "tech").
+// Replace every entry that matches an active category by slug or name with its
+// slug. Entries that match nothing are kept and listed, so a category can be
+// added for them (npm run categories:seed or the admin API) and the script run again.
+const migrate = async () => {
+  const lookup = await categoryLookup();
+  const profiles = await prisma.creatorProfile.findMany({
+    where: { NOT: { content_categories: { equals: Prisma.DbNull } } },
+    select: { id: true, content_categories: true }
+  });
+
+  let mapped = 0;
+  const unmatched = new Map();
+
+  for (const profile of profiles) {
+    if (!Array.isArray(profile.content_categories)) continue;
+
+    const categories = [];
+    for (const entry of profile.content_categories) {
+      const slug = matchCategory(lookup, entry);
+      if (!slug) {
+        unmatched.set(entry, (unmatched.get(entry) || 0) + 1);
+      }
+      const value = slug || entry;
+      if (!categories.includes(value)) categories.push(value);
+    }
+
+    const changed = categories.length !== profile.content_categories.length
+      || categories.some((value, index) => value !== profile.content_categories[index]);
+    if (!changed) continue;
+
+    await prisma.creatorProfile.update({
+      where: { id: profile.id },
+      data: { content_categories: categories }
+    });
+    mapped++;
+  }
+
+  return { mapped, unmatched };
+};
+
+migrate()
+  .then(({ mapped, unmatched }) => {
+    console.log(`✅ Mapped categories for ${mapped} creator profile(s)`);
+    for (const [entry, count] of unmatched) {
+      console.log(`⚠️  No category matches "${entry}" (${count} profile(s))`);
+    }
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Category mapping failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,56 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+
+const { PrismaClient, Prisma } = require('../src/generated/client');
+const { normalizeLanguage } = require('../src/services/languageService');
+
+const prisma = new PrismaClient();
+
+// One-off: /update-preferences used to store spoken languages in
+// CreatorProfile.interests. Move every entry that is a known language into
+// `languages` (as ISO 639 codes); anything else stays in `interests`.
+const migrate = async () => {
+  const profiles = await prisma.creatorProfile.findMany({
+    where: { languages: { equals: Prisma.DbNull }, NOT: { interests: { equals: Prisma.DbNull } } },
+    select: { id: true, interests: true }
+  });
+
+  let migrated = 0;
+
+  for (const profile of profiles) {
+    if (!Array.isArray(profile.interests)) continue;
+
+    const languages = [];
+    const interests = [];
+    for (const entry of profile.interests) {
+      const code = normalizeLanguage(entry);
+      if (code) {
+        if (!languages.includes(code)) languages.push(code);
+      } else {
+        interests.push(entry);
+      }
+    }
+
+    if (!languages.length) continue;
+
+    await prisma.creatorProfile.update({
+      where: { id: profile.id },
+      data: {
+        languages,
+        interests: interests.length ? interests : Prisma.DbNull
+      }
+    });
+    migrated++;
+  }
+
+  return migrated;
+};
+
+migrate()
+  .then(count => {
+    console.log(`✅ Moved languages for ${count} creator profile(s)`);
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Language migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+
+const path = require('path');
+const { PrismaClient } = require('../src/generated/client');
+const { storeUpload } = require('../src/services/mediaService');
+
+const prisma = new PrismaClient();
+
+const FETCH_TIMEOUT_MS = 30 * 1000;
+
+// Legacy URL column -> Media id column
+const DOCUMENT_FIELDS = {
+  document_front_url: 'front_media_id',
+  document_back_url: 'back_media_id',
+  selfie_url: 'selfie_media_id'
+};
+
+const download = async (url) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}`);
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  return {
+    buffer,
+    size: buffer.length,
+    originalname: path.basename(new URL(url).pathname) || null
+  };
+};
+
+// One-off: KYC documents submitted before uploads existed are only URLs. Copy each
+// into private storage as a `kyc` Media row owned by the creator and clear the URL.
+// Documents that cannot be downloaded keep their URL and are reported, so the script
+// can be run again.
+const migrate = async () => {
+  const records = await prisma.kYC.findMany({
+    where: {
+      OR: Object.keys(DOCUMENT_FIELDS).map(field => ({ [field]: { not: null } }))
+    },
+    include: { creator: { select: { user_id: true } } }
+  });
+
+  let moved = 0;
+  let failed = 0;
+
+  for (const kyc of records) {
+    const data = {};
+
+    for (const [urlField, mediaField] of Object.entries(DOCUMENT_FIELDS)) {
+      const url = kyc[urlField];
+      if (!url) continue;
+
+      // A newer upload already replaced this document
+      if (kyc[mediaField]) {
+        data[urlField] = null;
+        continue;
+      }
+
+      try {
+        const media = await storeUpload(kyc.creator.user_id, 'kyc', await download(url));
+        data[mediaField] = media.id;
+        data[urlField] = null;
+        moved++;
+      } catch (error) {
+        console.error(`⚠️  KYC ${kyc.id} ${urlField}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    if (Object.keys(data).length) {
+      await prisma.kYC.update({ where: { id: kyc.id }, data });
+    }
+  }
+
+  return { moved, failed };
+};
+
+migrate()
+  .then(({ moved, failed }) => {
+    console.log(`✅ Moved ${moved} KYC document(s) to private storage${failed ? `; ${failed} could not be downloaded` : ''}`);
+    process.exit(failed ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('❌ KYC document migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,14 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+
+const { processDueAccountDeletions } = require('../src/services/accountService');
+
+// Run daily (e.g. from cron) to anonymize accounts whose cooling-off period has ended
+processDueAccountDeletions()
+  .then(count => {
+    console.log(`✅ Processed ${count} account deletion(s)`);
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Account deletion processing failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,46 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+
+const { PrismaClient } = require('../src/generated/client');
+const categories = require('../src/data/categories.json');
+
+const prisma = new PrismaClient();
+
+// Create the standard niches from src/data/categories.json. Categories that already
+// exist (matched by slug) are left as they are, so admin edits survive a re-run.
+const seed = async () => {
+  let created = 0;
+
+  const seedLevel = async (entries, parentId) => {
+    for (const [index, entry] of entries.entries()) {
+      let category = await prisma.category.findUnique({ where: { slug: entry.slug } });
+
+      if (!category) {
+        category = await prisma.category.create({
+          data: {
+            name: entry.name,
+            slug: entry.slug,
+            description: entry.description || null,
+            parent_id: parentId,
+            sort_order: index
+          }
+        });
+        created++;
+      }
+
+      await seedLevel(entry.children || [], category.id);
+    }
+  };
+
+  await seedLevel(categories, null);
+  return created;
+};
+
+seed()
+  .then(count => {
+    console.log(`✅ Created ${count} categor${count === 1 ? 'y' : 'ies'}`);
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Category seed failed:', error);
+    process.exit(1);
+  });
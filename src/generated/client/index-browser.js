@@ -141,7 +141,16 @@ exports.Prisma.UserScalarFieldEnum = {
   phone_verified: 'phone_verified',
   onboarding_completed: 'onboarding_completed',
   onboarding_step: 'onboarding_step',
-  age: 'age'
+  onboarding_steps: 'onboarding_steps',
+  age: 'age',
+  merged_into_id: 'merged_into_id',
+  deletion_requested_at: 'deletion_requested_at',
+  deletion_scheduled_for: 'deletion_scheduled_for',
+  deleted_at: 'deleted_at',
+  totp_secret: 'totp_secret',
+  totp_enabled: 'totp_enabled',
+  totp_enabled_at: 'totp_enabled_at',
+  totp_last_step: 'totp_last_step'
 };
 
 exports.Prisma.BrandProfileScalarFieldEnum = {
@@ -155,6 +164,8 @@ exports.Prisma.BrandProfileScalarFieldEnum = {
   company_size: 'company_size',
   location_country: 'location_country',
   location_city: 'location_city',
+  location_state: 'location_state',
+  location_pincode: 'location_pincode',
   verified: 'verified',
   created_at: 'created_at',
   updated_at: 'updated_at'
@@ -163,6 +174,7 @@ exports.Prisma.BrandProfileScalarFieldEnum = {
 exports.Prisma.CreatorProfileScalarFieldEnum = {
   id: 'id',
   user_id: 'user_id',
+  handle: 'handle',
   email: 'email',
   bio: 'bio',
   location_country: 'location_country',
@@ -187,7 +199,8 @@ exports.Prisma.CreatorProfileScalarFieldEnum = {
   follower_count: 'follower_count',
   availability: 'availability',
   collaboration_types: 'collaboration_types',
-  interests: 'interests'
+  interests: 'interests',
+  languages: 'languages'
 };
 
 exports.Prisma.SocialMediaAccountScalarFieldEnum = {
@@ -200,6 +213,10 @@ exports.Prisma.SocialMediaAccountScalarFieldEnum = {
   engagement_rate: 'engagement_rate',
   avg_views: 'avg_views',
   verified: 'verified',
+  verified_at: 'verified_at',
+  verification_method: 'verification_method',
+  verification_code: 'verification_code',
+  verification_code_expires_at: 'verification_code_expires_at',
   last_updated: 'last_updated',
   created_at: 'created_at'
 };
@@ -415,14 +432,147 @@ exports.Prisma.PackageScalarFieldEnum = {
   created_at: 'created_at'
 };
 
+exports.Prisma.CreatorPackageScalarFieldEnum = {
+  id: 'id',
+  creator_id: 'creator_id',
+  title: 'title',
+  description: 'description',
+  platform: 'platform',
+  content_type: 'content_type',
+  quantity: 'quantity',
+  revisions: 'revisions',
+  duration: 'duration',
+  price: 'price',
+  currency: 'currency',
+  status: 'status',
+  position: 'position',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.MediaScalarFieldEnum = {
+  id: 'id',
+  owner_id: 'owner_id',
+  purpose: 'purpose',
+  storage_driver: 'storage_driver',
+  storage_key: 'storage_key',
+  mime_type: 'mime_type',
+  size_bytes: 'size_bytes',
+  original_name: 'original_name',
+  created_at: 'created_at'
+};
+
+exports.Prisma.MediaAccessLogScalarFieldEnum = {
+  id: 'id',
+  media_id: 'media_id',
+  user_id: 'user_id',
+  action: 'action',
+  ip_address: 'ip_address',
+  user_agent: 'user_agent',
+  created_at: 'created_at'
+};
+
+exports.Prisma.PayoutMethodScalarFieldEnum = {
+  id: 'id',
+  creator_id: 'creator_id',
+  type: 'type',
+  status: 'status',
+  account_holder_name: 'account_holder_name',
+  account_number: 'account_number',
+  ifsc_code: 'ifsc_code',
+  bank_name: 'bank_name',
+  branch_name: 'branch_name',
+  upi_id: 'upi_id',
+  name_matched: 'name_matched',
+  is_primary: 'is_primary',
+  usable_from: 'usable_from',
+  verified_at: 'verified_at',
+  removed_at: 'removed_at',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.SocialAccountStatScalarFieldEnum = {
+  id: 'id',
+  account_id: 'account_id',
+  follower_count: 'follower_count',
+  engagement_rate: 'engagement_rate',
+  avg_views: 'avg_views',
+  recorded_at: 'recorded_at'
+};
+
 exports.Prisma.PhoneVerificationScalarFieldEnum = {
   id: 'id',
   user_id: 'user_id',
   phone: 'phone',
-  code: 'code',
+  code_hash: 'code_hash',
   token: 'token',
+  attempts: 'attempts',
+  ip_address: 'ip_address',
   expires_at: 'expires_at',
   verified_at: 'verified_at',
+  invalidated_at: 'invalidated_at',
+  created_at: 'created_at'
+};
+
+exports.Prisma.OtpThrottleScalarFieldEnum = {
+  id: 'id',
+  scope: 'scope',
+  key: 'key',
+  failed_attempts: 'failed_attempts',
+  lockout_count: 'lockout_count',
+  locked_until: 'locked_until',
+  updated_at: 'updated_at'
+};
+
+exports.Prisma.UserIdentityScalarFieldEnum = {
+  id: 'id',
+  user_id: 'user_id',
+  provider: 'provider',
+  provider_user_id: 'provider_user_id',
+  email: 'email',
+  created_at: 'created_at',
+  last_used_at: 'last_used_at'
+};
+
+exports.Prisma.TwoFactorBackupCodeScalarFieldEnum = {
+  id: 'id',
+  user_id: 'user_id',
+  code_hash: 'code_hash',
+  used_at: 'used_at',
+  created_at: 'created_at'
+};
+
+exports.Prisma.UserSessionScalarFieldEnum = {
+  id: 'id',
+  user_id: 'user_id',
+  device_name: 'device_name',
+  user_agent: 'user_agent',
+  ip_address: 'ip_address',
+  created_at: 'created_at',
+  last_used_at: 'last_used_at',
+  expires_at: 'expires_at',
+  revoked_at: 'revoked_at',
+  revoked_reason: 'revoked_reason'
+};
+
+exports.Prisma.RefreshTokenScalarFieldEnum = {
+  id: 'id',
+  session_id: 'session_id',
+  token_hash: 'token_hash',
+  expires_at: 'expires_at',
+  used_at: 'used_at',
+  created_at: 'created_at'
+};
+
+exports.Prisma.EmailTokenScalarFieldEnum = {
+  id: 'id',
+  user_id: 'user_id',
+  email: 'email',
+  purpose: 'purpose',
+  token_hash: 'token_hash',
+  expires_at: 'expires_at',
+  used_at: 'used_at',
   created_at: 'created_at'
 };
 
@@ -431,6 +581,12 @@ exports.Prisma.KYCScalarFieldEnum = {
   creator_id: 'creator_id',
   document_type: 'document_type',
   document_number: 'document_number',
+  document_masked: 'document_masked',
+  document_hash: 'document_hash',
+  holder_name: 'holder_name',
+  front_media_id: 'front_media_id',
+  back_media_id: 'back_media_id',
+  selfie_media_id: 'selfie_media_id',
   document_front_url: 'document_front_url',
   document_back_url: 'document_back_url',
   selfie_url: 'selfie_url',
@@ -446,12 +602,22 @@ exports.Prisma.KYCScalarFieldEnum = {
   verified_by: 'verified_by'
 };
 
+exports.Prisma.KycAccessLogScalarFieldEnum = {
+  id: 'id',
+  kyc_id: 'kyc_id',
+  user_id: 'user_id',
+  ip_address: 'ip_address',
+  user_agent: 'user_agent',
+  created_at: 'created_at'
+};
+
 exports.Prisma.PortfolioItemScalarFieldEnum = {
   id: 'id',
   creator_id: 'creator_id',
   title: 'title',
   description: 'description',
   media_url: 'media_url',
+  media_id: 'media_id',
   media_type: 'media_type',
   platform: 'platform',
   tags: 'tags',
@@ -475,16 +641,16 @@ exports.Prisma.QueryMode = {
   insensitive: 'insensitive'
 };
 
-exports.Prisma.NullsOrder = {
-  first: 'first',
-  last: 'last'
-};
-
 exports.Prisma.JsonNullValueFilter = {
   DbNull: Prisma.DbNull,
   JsonNull: Prisma.JsonNull,
   AnyNull: Prisma.AnyNull
 };
+
+exports.Prisma.NullsOrder = {
+  first: 'first',
+  last: 'last'
+};
 exports.UserType = exports.$Enums.UserType = {
   brand: 'brand',
   creator: 'creator',
@@ -621,6 +787,40 @@ exports.PackageType = exports.$Enums.PackageType = {
   custom: 'custom'
 };
 
+exports.CreatorPackageStatus = exports.$Enums.CreatorPackageStatus = {
+  active: 'active',
+  paused: 'paused',
+  archived: 'archived'
+};
+
+exports.MediaPurpose = exports.$Enums.MediaPurpose = {
+  avatar: 'avatar',
+  portfolio: 'portfolio',
+  kyc: 'kyc',
+  message_attachment: 'message_attachment'
+};
+
+exports.MediaAccessAction = exports.$Enums.MediaAccessAction = {
+  link_issued: 'link_issued',
+  downloaded: 'downloaded'
+};
+
+exports.PayoutMethodType = exports.$Enums.PayoutMethodType = {
+  bank_account: 'bank_account',
+  upi: 'upi'
+};
+
+exports.PayoutMethodStatus = exports.$Enums.PayoutMethodStatus = {
+  pending: 'pending',
+  in_review: 'in_review',
+  verified: 'verified'
+};
+
+exports.EmailTokenPurpose = exports.$Enums.EmailTokenPurpose = {
+  verify_email: 'verify_email',
+  password_reset: 'password_reset'
+};
+
 exports.KYCStatus = exports.$Enums.KYCStatus = {
   pending: 'pending',
   verified: 'verified',
@@ -654,8 +854,20 @@ exports.Prisma.ModelName = {
   PlatformSetting: 'PlatformSetting',
   CollaborationChannel: 'CollaborationChannel',
   Package: 'Package',
+  CreatorPackage: 'CreatorPackage',
+  Media: 'Media',
+  MediaAccessLog: 'MediaAccessLog',
+  PayoutMethod: 'PayoutMethod',
+  SocialAccountStat: 'SocialAccountStat',
   PhoneVerification: 'PhoneVerification',
+  OtpThrottle: 'OtpThrottle',
+  UserIdentity: 'UserIdentity',
+  TwoFactorBackupCode: 'TwoFactorBackupCode',
+  UserSession: 'UserSession',
+  RefreshToken: 'RefreshToken',
+  EmailToken: 'EmailToken',
   KYC: 'KYC',
+  KycAccessLog: 'KycAccessLog',
   PortfolioItem: 'PortfolioItem'
 };
 
@@ -0,0 +1,134 @@
+const { PrismaClient } = require('../generated/client');
+const { verifyAccessToken, findActiveSession } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+// Middleware to verify the JWT access token, that its session has not been revoked and
+// that the account is not suspended. Sets req.userId, req.sessionId and req.user.
+const authenticateToken = async (req, res, next) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  try {
+    const session = await findActiveSession(decoded.sid, decoded.userId);
+    if (!session) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: BigInt(decoded.userId) }
+    });
+
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    if (user.status === 'suspended') {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
+    req.userId = decoded.userId;
+    req.sessionId = decoded.sid;
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject accounts still in `pending` status; use after authenticateToken. Pending
+// accounts can sign in, onboard and manage their account, but not upload, sell,
+// take payouts or administer.
+const requireActiveUser = (req, res, next) => {
+  if (req.user.status !== 'active') {
+    return res.status(403).json({ error: 'Account is not active yet' });
+  }
+  next();
+};
+
+// Allow only the given user types, e.g. requireRole('creator') or requireRole('brand', 'admin')
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.user_type)) {
+    return res.status(403).json({ error: `This action requires a ${roles.join(' or ')} account` });
+  }
+  next();
+};
+
+// Allow the request only when `getOwnerId(req)` resolves to the signed-in user's id.
+// Admins pass as well unless `allowAdmin` is false; a null owner responds 404.
+const requireOwnership = (getOwnerId, { allowAdmin = true, notFoundMessage = 'Resource not found' } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const ownerId = await getOwnerId(req);
+
+      if (ownerId === null || ownerId === undefined) {
+        return res.status(404).json({ error: notFoundMessage });
+      }
+
+      const isOwner = ownerId.toString() === req.user.id.toString();
+      const isAdmin = allowAdmin && req.user.user_type === 'admin';
+
+      if (!isOwner && !isAdmin) {
+        return res.status(403).json({ error: 'You do not have access to this resource' });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Load the signed-in creator's profile into req.creatorProfile, or respond 400
+const requireCreatorProfile = async (req, res, next) => {
+  try {
+    const creatorProfile = await prisma.creatorProfile.findUnique({
+      where: { user_id: req.user.id }
+    });
+
+    if (!creatorProfile) {
+      return res.status(400).json({ error: 'Creator profile not found' });
+    }
+
+    req.creatorProfile = creatorProfile;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load the signed-in brand's profile into req.brandProfile, or respond 404
+const requireBrandProfile = async (req, res, next) => {
+  try {
+    const brandProfile = await prisma.brandProfile.findFirst({
+      where: { user_id: req.user.id }
+    });
+
+    if (!brandProfile) {
+      return res.status(404).json({ error: 'Brand profile not found' });
+    }
+
+    req.brandProfile = brandProfile;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authenticateToken,
+  requireActiveUser,
+  requireRole,
+  requireOwnership,
+  requireCreatorProfile,
+  requireBrandProfile
+};
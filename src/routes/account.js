@@ -0,0 +1,111 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { verifyPassword } = require('../services/passwordService');
+const {
+  DELETION_COOLING_OFF_DAYS,
+  buildAccountExport,
+  serializeAccountExport,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} = require('../services/accountService');
+
+const router = express.Router();
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Download a JSON bundle of all personal data we hold about the user
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const data = await buildAccountExport(req.userId);
+
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const fileName = `influmojo-export-${req.userId}-${new Date().toISOString().slice(0, 10)}.json`;
+
+    res.set('Content-Type', 'application/json');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(serializeAccountExport(data));
+
+  } catch (error) {
+    console.error('Account export error:', error);
+    res.status(500).json({
+      error: 'Failed to export account data',
+      message: error.message
+    });
+  }
+});
+
+// Request account deletion; personal data is removed after the cooling-off period
+router.post('/delete', [
+  body('confirm').equals('DELETE').withMessage('Type DELETE to confirm'),
+  body('password').optional().isString().withMessage('Password must be a string')
+], validateRequest, authenticateToken, async (req, res) => {
+  try {
+    const { user } = req;
+
+    if (user.deletion_scheduled_for) {
+      return res.status(409).json({
+        error: 'Account deletion already requested',
+        scheduledFor: user.deletion_scheduled_for
+      });
+    }
+
+    // Accounts with a password must re-enter it
+    if (user.password_hash && !(await verifyPassword(req.body.password || '', user.password_hash))) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    const updatedUser = await requestAccountDeletion(user.id);
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${DELETION_COOLING_OFF_DAYS} days. Sign in and cancel before then to keep it.`,
+      scheduledFor: updatedUser.deletion_scheduled_for
+    });
+
+  } catch (error) {
+    console.error('Account delete error:', error);
+    res.status(500).json({
+      error: 'Failed to request account deletion',
+      message: error.message
+    });
+  }
+});
+
+// Cancel a pending deletion during the cooling-off period
+router.post('/delete/cancel', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.deletion_scheduled_for) {
+      return res.status(400).json({ error: 'No account deletion pending' });
+    }
+
+    await cancelAccountDeletion(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel account delete error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel account deletion',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
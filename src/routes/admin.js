@@ -0,0 +1,384 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { PrismaClient } = require('../generated/client');
+const { authenticateToken, requireActiveUser, requireRole } = require('../middleware/auth');
+const {
+  KycError,
+  KYC_DOCUMENTS,
+  listKycSubmissions,
+  reviewKyc,
+  kycDocumentLinks,
+  revealDocumentNumber
+} = require('../services/kycService');
+const {
+  PayoutError,
+  listPayoutMethodsInReview,
+  approvePayoutMethod
+} = require('../services/payoutService');
+const {
+  CategoryError,
+  getCategoryTree,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  deleteCategory
+} = require('../services/categoryService');
+const {
+  serializeKyc,
+  serializeCreatorProfile,
+  serializeUser,
+  serializeCategory,
+  serializePayoutMethod
+} = require('../serializers');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Every admin route needs a signed-in admin
+router.use(authenticateToken, requireActiveUser, requireRole('admin'));
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Respond to KYC errors with their status, anything else as a 500
+const handleKycError = (res, error, logLabel, failureMessage) => {
+  if (error instanceof KycError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${logLabel}:`, error);
+  res.status(500).json({
+    error: failureMessage,
+    message: error.message
+  });
+};
+
+// Respond to payout errors with their status, anything else as a 500
+const handlePayoutError = (res, error, logLabel, failureMessage) => {
+  if (error instanceof PayoutError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${logLabel}:`, error);
+  res.status(500).json({
+    error: failureMessage,
+    message: error.message
+  });
+};
+
+// Respond to category errors with their status, anything else as a 500
+const handleCategoryError = (res, error, logLabel, failureMessage) => {
+  if (error instanceof CategoryError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${logLabel}:`, error);
+  res.status(500).json({
+    error: failureMessage,
+    message: error.message
+  });
+};
+
+// Validation rules shared by create and update; `optional` relaxes required fields
+const categoryRules = (optional) => [
+  optional
+    ? body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name cannot be empty (max 100 characters)')
+    : body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+  body('slug').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Slug cannot be empty'),
+  body('description').optional({ values: 'null' }).isString().isLength({ max: 500 }).withMessage('Description is too long'),
+  body('parentId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Parent must be a category id').toInt(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+];
+
+// Submission with its creator, as shown in the review queue
+const formatSubmission = (kyc) => ({
+  ...serializeKyc(kyc, 'admin'),
+  creator: {
+    ...serializeCreatorProfile(kyc.creator, 'admin'),
+    user: serializeUser(kyc.creator.user, 'admin')
+  }
+});
+
+// KYC review queue: ?status=pending|verified|rejected&documentType=&search=&page=&limit=
+router.get('/kyc', [
+  query('status').optional().isIn(['pending', 'verified', 'rejected']).withMessage('Invalid status'),
+  query('documentType').optional().isIn(Object.keys(KYC_DOCUMENTS)).withMessage('Invalid document type'),
+  query('search').optional().trim().isLength({ max: 100 }),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], validateRequest, async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const { total, submissions } = await listKycSubmissions({
+      status: req.query.status || 'pending',
+      documentType: req.query.documentType,
+      search: req.query.search,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      submissions: submissions.map(formatSubmission),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handleKycError(res, error, 'List KYC error', 'Failed to list KYC submissions');
+  }
+});
+
+// One submission with short-lived links to its documents (each link is logged)
+router.get('/kyc/:id', [
+  param('id').isInt({ min: 1 }).withMessage('Valid KYC id is required')
+], validateRequest, async (req, res) => {
+  try {
+    const kyc = await prisma.kYC.findUnique({
+      where: { id: BigInt(req.params.id) },
+      include: { creator: { include: { user: true } } }
+    });
+
+    if (!kyc) {
+      return res.status(404).json({ error: 'KYC submission not found' });
+    }
+
+    res.json({
+      success: true,
+      submission: formatSubmission(kyc),
+      documents: await kycDocumentLinks(kyc, req.user.id, {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      })
+    });
+
+  } catch (error) {
+    handleKycError(res, error, 'Get KYC error', 'Failed to get KYC submission');
+  }
+});
+
+// The full document number, for comparing against the documents (each reveal is logged)
+router.post('/kyc/:id/document-number', [
+  param('id').isInt({ min: 1 }).withMessage('Valid KYC id is required')
+], validateRequest, async (req, res) => {
+  try {
+    const kyc = await prisma.kYC.findUnique({ where: { id: BigInt(req.params.id) } });
+
+    if (!kyc) {
+      return res.status(404).json({ error: 'KYC submission not found' });
+    }
+
+    res.json({
+      success: true,
+      documentNumber: await revealDocumentNumber(kyc, req.user.id, {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      })
+    });
+
+  } catch (error) {
+    handleKycError(res, error, 'Reveal KYC document number error', 'Failed to reveal document number');
+  }
+});
+
+// Approve a pending submission; the creator's profile becomes verified
+router.post('/kyc/:id/approve', [
+  param('id').isInt({ min: 1 }).withMessage('Valid KYC id is required')
+], validateRequest, async (req, res) => {
+  try {
+    const kyc = await reviewKyc(req.params.id, req.user.id, { decision: 'verified' });
+
+    res.json({
+      success: true,
+      message: 'KYC approved',
+      kyc: serializeKyc(kyc, 'admin')
+    });
+
+  } catch (error) {
+    handleKycError(res, error, 'Approve KYC error', 'Failed to approve KYC');
+  }
+});
+
+// Reject a pending submission with a reason shown to the creator, who can resubmit
+router.post('/kyc/:id/reject', [
+  param('id').isInt({ min: 1 }).withMessage('Valid KYC id is required'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Rejection reason is required (max 500 characters)')
+], validateRequest, async (req, res) => {
+  try {
+    const kyc = await reviewKyc(req.params.id, req.user.id, {
+      decision: 'rejected',
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'KYC rejected',
+      kyc: serializeKyc(kyc, 'admin')
+    });
+
+  } catch (error) {
+    handleKycError(res, error, 'Reject KYC error', 'Failed to reject KYC');
+  }
+});
+
+// Payout methods whose holder could not be matched to a verified KYC name: ?page=&limit=
+router.get('/payout-methods', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], validateRequest, async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const { total, methods } = await listPayoutMethodsInReview({ page, limit });
+
+    res.json({
+      success: true,
+      methods: methods.map(method => ({
+        ...serializePayoutMethod(method, 'admin'),
+        creator: {
+          ...serializeCreatorProfile(method.creator, 'admin'),
+          user: serializeUser(method.creator.user, 'admin')
+        },
+        kyc: serializeKyc(method.creator.kyc, 'admin')
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    handlePayoutError(res, error, 'List payout methods error', 'Failed to list payout methods');
+  }
+});
+
+// Approve a payout method after checking the holder against the KYC documents
+router.post('/payout-methods/:id/approve', [
+  param('id').isInt({ min: 1 }).withMessage('Valid payout method id is required')
+], validateRequest, async (req, res) => {
+  try {
+    const method = await prisma.payoutMethod.findUnique({
+      where: { id: BigInt(req.params.id) },
+      include: { creator: { include: { user: true } } }
+    });
+
+    if (!method || method.removed_at) {
+      return res.status(404).json({ error: 'Payout method not found' });
+    }
+
+    const approved = await approvePayoutMethod(method, method.creator.user);
+
+    res.json({
+      success: true,
+      message: 'Payout method approved',
+      method: serializePayoutMethod(approved, 'admin')
+    });
+
+  } catch (error) {
+    handlePayoutError(res, error, 'Approve payout method error', 'Failed to approve payout method');
+  }
+});
+
+// Full category tree, including inactive categories
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await getCategoryTree({ includeInactive: true });
+
+    res.json({
+      success: true,
+      categories: categories.map(category => serializeCategory(category, 'admin'))
+    });
+
+  } catch (error) {
+    handleCategoryError(res, error, 'List categories error', 'Failed to list categories');
+  }
+});
+
+// Create a category; the slug is derived from the name unless given
+router.post('/categories', categoryRules(false), validateRequest, async (req, res) => {
+  try {
+    const category = await createCategory(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category: serializeCategory(category, 'admin')
+    });
+
+  } catch (error) {
+    handleCategoryError(res, error, 'Create category error', 'Failed to create category');
+  }
+});
+
+// Set the order of the categories under one parent (parentId null for top level)
+router.put('/categories/order', [
+  body('parentId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Parent must be a category id').toInt(),
+  body('categoryIds').isArray({ min: 1 }).withMessage('categoryIds must be a non-empty array'),
+  body('categoryIds.*').isInt({ min: 1 }).withMessage('Category ids must be integers')
+], validateRequest, async (req, res) => {
+  try {
+    const categories = await reorderCategories(req.body.parentId ?? null, req.body.categoryIds);
+
+    res.json({
+      success: true,
+      message: 'Categories reordered successfully',
+      categories: categories.map(category => serializeCategory(category, 'admin'))
+    });
+
+  } catch (error) {
+    handleCategoryError(res, error, 'Reorder categories error', 'Failed to reorder categories');
+  }
+});
+
+// Rename, move, activate or deactivate a category
+router.put('/categories/:id', [
+  param('id').isInt({ min: 1 }).withMessage('Valid category id is required'),
+  ...categoryRules(true)
+], validateRequest, async (req, res) => {
+  try {
+    const category = await updateCategory(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category: serializeCategory(category, 'admin')
+    });
+
+  } catch (error) {
+    handleCategoryError(res, error, 'Update category error', 'Failed to update category');
+  }
+});
+
+// Delete an unused category without subcategories
+router.delete('/categories/:id', [
+  param('id').isInt({ min: 1 }).withMessage('Valid category id is required')
+], validateRequest, async (req, res) => {
+  try {
+    await deleteCategory(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Category deleted'
+    });
+
+  } catch (error) {
+    handleCategoryError(res, error, 'Delete category error', 'Failed to delete category');
+  }
+});
+
+module.exports = router;
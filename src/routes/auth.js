@@ -1,9 +1,48 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { OAuth2Client } = require('google-auth-library');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('../generated/client');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { hashPassword, verifyPassword, strongPassword } = require('../services/passwordService');
+const {
+  AccountLinkError,
+  resolveIdentityUser,
+  linkIdentity,
+  linkPhone,
+  unlinkIdentity,
+  mergeUsers,
+  listIdentities
+} = require('../services/accountLinkService');
+const { OtpError, sendPhoneCode, verifyPhoneCode } = require('../services/otpService');
+const { IdTokenError, verifyIdToken } = require('../services/idTokenVerifier');
+const {
+  requiresSecondFactor,
+  beginEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifySecondFactor,
+  verifyChallengeSecondFactor,
+  createMfaChallenge,
+  verifyMfaChallenge,
+  remainingBackupCodes
+} = require('../services/twoFactorService');
+const { getOtpProvider } = require('../services/otp');
+const { getOnboardingState, completeOnboardingStep } = require('../services/onboardingService');
+const { serializeUser } = require('../serializers');
+const {
+  consumeEmailToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../services/emailTokenService');
+const {
+  TokenError,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../services/tokenService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -23,83 +62,144 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId: userId.toString(), iat: Date.now() },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: '7d' }
-  );
+// Roles a user may pick at signup; admins are never self-registered
+const SIGNUP_USER_TYPES = ['creator', 'brand'];
+
+const signupUserType = () => body('userType')
+  .optional()
+  .isIn(SIGNUP_USER_TYPES)
+  .withMessage('User type must be creator or brand');
+
+// Tells the app which onboarding flow to show after sign-in
+const onboardingInfo = (user) => ({
+  flow: user.user_type,
+  completed: user.onboarding_completed,
+  step: user.onboarding_step,
+  nextStep: getOnboardingState(user).nextStep
+});
+
+// Device details recorded on the session so users can tell their sign-ins apart
+const sessionContext = (req, deviceName = req.body.deviceName) => ({
+  deviceName,
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+// Start a new session and return the token fields of the auth response
+const issueTokens = async (user, req, deviceName) => {
+  const { accessToken, refreshToken, expiresIn } = await createSession(user.id, sessionContext(req, deviceName));
+  return { token: accessToken, refreshToken, expiresIn };
 };
 
-// Google OAuth for mobile
-router.post('/google-mobile', [
-  body('idToken').notEmpty().withMessage('ID token is required')
-], validateRequest, async (req, res) => {
+// After the first factor: issue tokens, or a challenge the app completes via /2fa/verify
+// (or /2fa/setup + /2fa/enable for admins who have not enrolled yet)
+const startSignIn = async (user, req) => {
+  if (!requiresSecondFactor(user)) {
+    return issueTokens(user, req);
+  }
+
+  return {
+    mfaRequired: true,
+    enrollmentRequired: !user.totp_enabled,
+    challengeToken: createMfaChallenge(user, { deviceName: req.body.deviceName })
+  };
+};
+
+// Check an OTP for a phone number, enforcing per-phone and per-IP lockouts.
+// Returns null when the code is valid, otherwise { status, error, retryAfter? }.
+const checkPhoneCode = async (phone, code, ipAddress) => {
   try {
-    const { idToken } = req.body;
+    await verifyPhoneCode(phone, code, ipAddress);
+    return null;
+  } catch (error) {
+    if (error instanceof OtpError) {
+      return { status: error.status, error: error.message, retryAfter: error.retryAfter };
+    }
+    throw error;
+  }
+};
 
-    // Verify Google token
-    const ticket = await googleClient.verifyIdToken({
+// Verify a Google ID token and return its payload. Throws IdTokenError.
+const verifyGoogleIdToken = async (idToken) => {
+  let ticket;
+  try {
+    ticket = await googleClient.verifyIdToken({
       idToken,
       audience: process.env.GOOGLE_CLIENT_ID
     });
+  } catch (error) {
+    // Request errors mean Google's certificates could not be fetched, not a bad token
+    if (error.response || error.code) {
+      throw new IdTokenError('Failed to load signing keys for google', 502);
+    }
+    throw new IdTokenError(`Invalid ID token: ${error.message}`);
+  }
+  return ticket.getPayload();
+};
 
-    const payload = ticket.getPayload();
-    const { email, name, picture, sub: googleId } = payload;
+// Verify an ID token from Google or any configured OIDC provider and return normalized claims
+const verifyProviderIdToken = async (provider, idToken, options) => {
+  if (provider === 'google') {
+    const payload = await verifyGoogleIdToken(idToken);
+    return {
+      providerUserId: payload.sub,
+      email: payload.email,
+      emailVerified: payload.email_verified,
+      trustEmail: true,
+      name: payload.name,
+      picture: payload.picture
+    };
+  }
+  return verifyIdToken(provider, idToken, options);
+};
 
-    // Check if user exists
-    let user = await prisma.user.findFirst({
-      where: {
-        OR: [
-          { email },
-          { auth_provider: 'google', email }
-        ]
-      }
+// Google OAuth for mobile
+router.post('/google-mobile', [
+  body('idToken').notEmpty().withMessage('ID token is required'),
+  signupUserType(),
+  body('deviceName').optional().isString().withMessage('Device name must be a string')
+], validateRequest, async (req, res) => {
+  try {
+    const { idToken, userType } = req.body;
+
+    // Verify Google token
+    const payload = await verifyGoogleIdToken(idToken);
+    const { email, email_verified: emailVerified, name, picture, sub: googleId } = payload;
+
+    // Look the user up by Google account id, falling back to a verified email match
+    const user = await resolveIdentityUser({
+      provider: 'google',
+      providerUserId: googleId,
+      email,
+      emailVerified,
+      trustEmail: true,
+      name,
+      picture,
+      userType
     });
 
-    if (!user) {
-      // Create new user
-      user = await prisma.user.create({
-        data: {
-          email,
-          name,
-          profile_image_url: picture,
-          auth_provider: 'google',
-          email_verified: true,
-          user_type: 'creator', // Default to creator for now
-          status: 'active'
-        }
-      });
-    } else {
-      // Update existing user
-      user = await prisma.user.update({
-        where: { id: user.id },
-        data: {
-          last_login_at: new Date(),
-          profile_image_url: picture,
-          email_verified: true
-        }
-      });
+    if (user.status === 'suspended') {
+      return res.status(403).json({ error: 'Account suspended' });
     }
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Start a session, or a 2FA challenge when a second factor is required
+    const tokens = await startSignIn(user, req);
 
     res.json({
       success: true,
       message: 'Google authentication successful',
-      user: {
-        id: user.id.toString(),
-        email: user.email,
-        name: user.name,
-        profileImage: user.profile_image_url,
-        isVerified: user.email_verified
-      },
-      token
+      user: serializeUser(user, 'self'),
+      onboarding: onboardingInfo(user),
+      ...tokens
     });
 
   } catch (error) {
+    if (error instanceof IdTokenError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof AccountLinkError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
     console.error('Google auth error:', error);
     res.status(500).json({ 
       error: 'Google authentication failed',
@@ -108,74 +208,66 @@ router.post('/google-mobile', [
   }
 });
 
-// Send phone verification code
-router.post('/send-phone-verification-code', [
-  body('phone').isMobilePhone().withMessage('Valid phone number is required')
+// Sign in with Apple or a configured OpenID Connect provider
+router.post('/oidc/:provider', [
+  body('idToken').notEmpty().withMessage('ID token is required'),
+  body('nonce').optional().isString().withMessage('Nonce must be a string'),
+  // Apple only shares the user's name with the app, on first authorization
+  body('name').optional().trim().isString().withMessage('Name must be a string'),
+  signupUserType(),
+  body('deviceName').optional().isString().withMessage('Device name must be a string')
 ], validateRequest, async (req, res) => {
   try {
-    const { phone } = req.body;
-    
-    // Check for recent OTP requests to prevent spam
-    const recentVerification = await prisma.phoneVerification.findFirst({
-      where: {
-        phone,
-        created_at: { gt: new Date(Date.now() - 60 * 1000) } // Last 1 minute
-      }
+    const { provider } = req.params;
+    const { idToken, nonce, name, userType } = req.body;
+
+    const claims = await verifyIdToken(provider, idToken, { nonce });
+
+    const user = await resolveIdentityUser({
+      provider,
+      ...claims,
+      name: claims.name || name,
+      userType
     });
-    
-    if (recentVerification) {
-      return res.status(429).json({
-        error: 'Please wait 1 minute before requesting another code'
-      });
+
+    if (user.status === 'suspended') {
+      return res.status(403).json({ error: 'Account suspended' });
     }
 
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // Generate unique token
-    const token = require('crypto').randomBytes(32).toString('hex');
-    
-    // Store OTP in database
-    await prisma.phoneVerification.create({
-      data: {
-        phone,
-        code: otp,
-        token,
-        expires_at: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
-      }
+    // Start a session, or a 2FA challenge when a second factor is required
+    const tokens = await startSignIn(user, req);
+
+    res.json({
+      success: true,
+      message: 'Authentication successful',
+      user: serializeUser(user, 'self'),
+      onboarding: onboardingInfo(user),
+      ...tokens
     });
 
-    // Send SMS using Twilio Verify (if configured)
-    let smsSent = false;
-    if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_VERIFY_SERVICE_SID) {
-      const twilio = require('twilio')(
-        process.env.TWILIO_ACCOUNT_SID,
-        process.env.TWILIO_AUTH_TOKEN
-      );
-
-      try {
-        await twilio.verify.v2.services(process.env.TWILIO_VERIFY_SERVICE_SID)
-          .verifications.create({
-            to: phone,
-            channel: 'sms'
-          });
-        console.log(`Verification SMS sent to ${phone}`);
-        smsSent = true;
-      } catch (smsError) {
-        console.error('SMS sending failed:', smsError);
-        
-        // Handle rate limiting specifically
-        if (smsError.status === 429) {
-          console.log(`Rate limit hit for ${phone}. OTP: ${otp} (check console for development)`);
-          console.log(`Please wait before requesting another code or upgrade your Twilio plan`);
-        } else {
-          console.log(`OTP for ${phone}: ${otp} (SMS failed, using console log)`);
-        }
-      }
-    } else {
-      // Development mode - just log the OTP
-      console.log(`OTP for ${phone}: ${otp} (Twilio not configured)`);
+  } catch (error) {
+    if (error instanceof IdTokenError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error instanceof AccountLinkError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
     }
+    console.error('OIDC auth error:', error);
+    res.status(500).json({ 
+      error: 'Authentication failed',
+      message: error.message 
+    });
+  }
+});
+
+// Send phone verification code
+router.post('/send-phone-verification-code', [
+  body('phone').isMobilePhone().withMessage('Valid phone number is required')
+], validateRequest, async (req, res) => {
+  try {
+    const { phone } = req.body;
+    
+    await sendPhoneCode(phone, req.ip);
 
     res.json({
       success: true,
@@ -184,6 +276,9 @@ router.post('/send-phone-verification-code', [
     });
 
   } catch (error) {
+    if (error instanceof OtpError) {
+      return res.status(error.status).json({ error: error.message, retryAfter: error.retryAfter });
+    }
     console.error('Send OTP error:', error);
     res.status(500).json({ 
       error: 'Failed to send verification code',
@@ -192,73 +287,53 @@ router.post('/send-phone-verification-code', [
   }
 });
 
+// Read the last code sent by the fake OTP provider (offline development only)
+router.get('/dev/otp/:phone', async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const provider = getOtpProvider();
+    if (provider.name !== 'fake') {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const code = provider.getLastCode(req.params.phone);
+
+    if (!code) {
+      return res.status(404).json({ error: 'No code sent to this phone' });
+    }
+
+    res.json({
+      success: true,
+      phone: req.params.phone,
+      code
+    });
+
+  } catch (error) {
+    console.error('Get dev OTP error:', error);
+    res.status(500).json({
+      error: 'Failed to get OTP',
+      message: error.message
+    });
+  }
+});
+
 // Verify phone code
 router.post('/verify-phone-code', [
   body('phone').isMobilePhone().withMessage('Valid phone number is required'),
   body('code').isLength({ min: 6, max: 6 }).withMessage('6-digit code is required'),
-  body('fullName').optional().isString().withMessage('Full name must be a string')
+  body('fullName').optional().isString().withMessage('Full name must be a string'),
+  signupUserType(),
+  body('deviceName').optional().isString().withMessage('Device name must be a string')
 ], validateRequest, async (req, res) => {
   try {
-    const { phone, code, fullName } = req.body;
-
-    // Verify with Twilio Verify (if configured)
-    let twilioVerification = false;
-    if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_VERIFY_SERVICE_SID) {
-      const twilio = require('twilio')(
-        process.env.TWILIO_ACCOUNT_SID,
-        process.env.TWILIO_AUTH_TOKEN
-      );
-
-      try {
-        const verificationCheck = await twilio.verify.v2.services(process.env.TWILIO_VERIFY_SERVICE_SID)
-          .verificationChecks.create({
-            to: phone,
-            code: code
-          });
-
-        if (verificationCheck.status === 'approved') {
-          twilioVerification = true;
-        } else {
-          return res.status(400).json({ 
-            error: 'Invalid verification code' 
-          });
-        }
-      } catch (verifyError) {
-        console.error('Twilio verification failed:', verifyError);
-        
-        // If Twilio fails (rate limit, etc.), fall back to database verification
-        if (verifyError.status === 429) {
-          console.log('Twilio rate limit hit, falling back to database verification');
-        } else {
-          console.log('Twilio verification error, falling back to database verification');
-        }
-      }
-    }
-    
-    // If Twilio verification failed or not configured, use database verification
-    if (!twilioVerification) {
-      // Fallback to database verification for development
-      const verification = await prisma.phoneVerification.findFirst({
-        where: {
-          phone,
-          code,
-          expires_at: { gt: new Date() },
-          verified_at: null
-        },
-        orderBy: { created_at: 'desc' }
-      });
-
-      if (!verification) {
-        return res.status(400).json({ 
-          error: 'Invalid or expired verification code' 
-        });
-      }
+    const { phone, code, fullName, userType } = req.body;
 
-      // Mark as verified
-      await prisma.phoneVerification.update({
-        where: { id: verification.id },
-        data: { verified_at: new Date() }
-      });
+    const codeError = await checkPhoneCode(phone, code, req.ip);
+    if (codeError) {
+      return res.status(codeError.status).json({ error: codeError.error, retryAfter: codeError.retryAfter });
     }
 
     // Check if user exists with this phone
@@ -266,13 +341,17 @@ router.post('/verify-phone-code', [
       where: { phone }
     });
 
+    if (user && user.status === 'suspended') {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
     if (!user) {
       // Create new user with full name
       user = await prisma.user.create({
         data: {
           phone,
           phone_verified: true,
-          user_type: 'creator', // Default to creator
+          user_type: userType || 'creator',
           status: 'active',
           name: fullName || 'User' // Use provided full name or default
         }
@@ -289,19 +368,15 @@ router.post('/verify-phone-code', [
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Start a session, or a 2FA challenge when a second factor is required
+    const tokens = await startSignIn(user, req);
 
     res.json({
       success: true,
       message: 'Phone verification successful',
-      user: {
-        id: user.id.toString(),
-        phone: user.phone,
-        name: user.name,
-        isVerified: user.phone_verified
-      },
-      token
+      user: serializeUser(user, 'self'),
+      onboarding: onboardingInfo(user),
+      ...tokens
     });
 
   } catch (error) {
@@ -313,80 +388,868 @@ router.post('/verify-phone-code', [
   }
 });
 
-// Update user name (for phone signup flow)
-router.post('/update-name', [
-  body('name').notEmpty().withMessage('Name is required')
+// Register with email and password
+router.post('/register', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  strongPassword('password'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  signupUserType(),
+  body('deviceName').optional().isString().withMessage('Device name must be a string')
 ], validateRequest, async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
+    const { email, password, name, userType } = req.body;
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const { name } = req.body;
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
 
-    const user = await prisma.user.update({
-      where: { id: decoded.userId },
-      data: { name }
+    if (existingUser) {
+      return res.status(409).json({ 
+        error: 'An account with this email already exists' 
+      });
+    }
+
+    const user = await prisma.user.create({
+      data: {
+        email,
+        name,
+        password_hash: await hashPassword(password),
+        auth_provider: 'email',
+        email_verified: false,
+        user_type: userType || 'creator',
+        status: 'active',
+        last_login_at: new Date()
+      }
     });
 
-    res.json({
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email failed:', mailError);
+    }
+
+    // Start a session for this device
+    const tokens = await issueTokens(user, req);
+
+    res.status(201).json({
       success: true,
-      message: 'Name updated successfully',
-      user: {
-        id: user.id.toString(),
-        name: user.name,
-        email: user.email,
-        phone: user.phone
-      }
+      message: 'Registration successful',
+      user: serializeUser(user, 'self'),
+      onboarding: onboardingInfo(user),
+      ...tokens
     });
 
   } catch (error) {
-    console.error('Update name error:', error);
+    console.error('Register error:', error);
     res.status(500).json({ 
-      error: 'Failed to update name',
+      error: 'Registration failed',
       message: error.message 
     });
   }
 });
 
-// Get user profile
-router.get('/profile', async (req, res) => {
+// Login with email and password
+router.post('/login', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password').isString().notEmpty().withMessage('Password is required'),
+  body('deviceName').optional().isString().withMessage('Device name must be a string')
+], validateRequest, async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
+    const { email, password } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    // Always run a bcrypt comparison so unknown emails and wrong passwords
+    // take the same time and get the same response
+    const passwordValid = await verifyPassword(password, user?.password_hash);
+
+    if (!user || !passwordValid) {
+      return res.status(401).json({ 
+        error: 'Invalid email or password' 
+      });
+    }
+
+    if (user.status === 'suspended') {
+      return res.status(403).json({ 
+        error: 'Account suspended' 
+      });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: { last_login_at: new Date() }
+    });
+
+    // Start a session, or a 2FA challenge when a second factor is required
+    const tokens = await startSignIn(updatedUser, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      user: serializeUser(updatedUser, 'self'),
+      onboarding: onboardingInfo(updatedUser),
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      error: 'Login failed',
+      message: error.message 
+    });
+  }
+});
+
+// Send (or resend) the email verification link
+router.post('/email/send-verification', authenticateToken, async (req, res) => {
+  try {
     const user = await prisma.user.findUnique({
-      where: { id: decoded.userId }
+      where: { id: BigInt(req.userId) }
     });
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (!user.email) {
+      return res.status(400).json({ error: 'No email address on this account' });
+    }
+
+    if (user.email_verified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Send verification email error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send verification email',
+      message: error.message 
+    });
+  }
+});
+
+// Confirm an email address from the verification link
+router.post('/email/verify', [
+  body('token').notEmpty().withMessage('Token is required')
+], validateRequest, async (req, res) => {
+  try {
+    const record = await consumeEmailToken(req.body.token, 'verify_email');
+
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: record.user_id }
+    });
+
+    // The address may have changed since the link was sent
+    if (!user || user.email !== record.email) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { email_verified: true }
+    });
+
+    // Verifying the business email is the last step of brand onboarding
+    await completeOnboardingStep(user.id, 'verification');
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      error: 'Failed to verify email',
+      message: error.message 
+    });
+  }
+});
+
+// Request a password reset link
+router.post('/password/forgot', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], validateRequest, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email }
+    });
+
+    if (user && user.status !== 'suspended') {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Same response whether or not the account exists
     res.json({
       success: true,
-      user: {
-        id: user.id.toString(),
-        email: user.email,
-        name: user.name,
-        phone: user.phone,
-        profileImage: user.profile_image_url,
-        isVerified: user.email_verified || user.phone_verified,
-        userType: user.user_type,
-        status: user.status
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      error: 'Failed to request password reset',
+      message: error.message 
+    });
+  }
+});
+
+// Set a new password from a reset link; signs out every device
+router.post('/password/reset', [
+  body('token').notEmpty().withMessage('Token is required'),
+  strongPassword('password')
+], validateRequest, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const record = await consumeEmailToken(token, 'password_reset');
+
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: record.user_id }
+    });
+
+    // The link was sent to the address the account had then; it may have changed since
+    if (!user || user.email !== record.email) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        password_hash: await hashPassword(password),
+        // Receiving the link proves ownership of the address
+        email_verified: true
       }
     });
 
+    await revokeAllSessions(user.id, 'password_reset');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please sign in again'
+    });
+
   } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(401).json({ error: 'Invalid token' });
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      error: 'Failed to reset password',
+      message: error.message 
+    });
+  }
+});
+
+// Choose creator or brand for an account that has not started onboarding yet
+router.post('/user-type', [
+  body('userType').isIn(SIGNUP_USER_TYPES).withMessage('User type must be creator or brand')
+], validateRequest, authenticateToken, requireRole(...SIGNUP_USER_TYPES), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { creator_profiles: true, brand_profiles: true }
+    });
+
+    if (user.creator_profiles || user.brand_profiles.length > 0) {
+      return res.status(409).json({ error: 'User type cannot be changed after onboarding has started' });
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: userId },
+      data: { user_type: req.body.userType }
+    });
+
+    res.json({
+      success: true,
+      message: 'User type updated successfully',
+      userType: updatedUser.user_type,
+      onboarding: onboardingInfo(updatedUser)
+    });
+
+  } catch (error) {
+    console.error('Update user type error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update user type',
+      message: error.message 
+    });
+  }
+});
+
+// Update user name (for phone signup flow)
+router.post('/update-name', [
+  body('name').notEmpty().withMessage('Name is required')
+], validateRequest, authenticateToken, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const user = await prisma.user.update({
+      where: { id: BigInt(req.userId) },
+      data: { name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Name updated successfully',
+      user: serializeUser(user, 'self')
+    });
+
+  } catch (error) {
+    console.error('Update name error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update name',
+      message: error.message 
+    });
+  }
+});
+
+// Get user profile
+router.get('/profile', authenticateToken, async (req, res) => {
+  try {
+    const { user } = req;
+
+    res.json({
+      success: true,
+      user: serializeUser(user, 'self')
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get profile',
+      message: error.message 
+    });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], validateRequest, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokens = await rotateRefreshToken(refreshToken, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      error: 'Failed to refresh token',
+      message: error.message 
+    });
+  }
+});
+
+// Logout current session, or every session when allDevices is set
+router.post('/logout', [
+  body('allDevices').optional().isBoolean().withMessage('allDevices must be a boolean')
+], validateRequest, authenticateToken, async (req, res) => {
+  try {
+    if (req.body.allDevices) {
+      await revokeAllSessions(req.userId, 'logout_all');
+    } else {
+      await revokeSession(req.sessionId, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      error: 'Failed to logout',
+      message: error.message 
+    });
+  }
+});
+
+// List active sessions (signed-in devices)
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.userId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session.id.toString(),
+        deviceName: session.device_name,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        current: session.id.toString() === req.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to list sessions',
+      message: error.message 
+    });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.userId);
+    const session = sessions.find(s => s.id.toString() === req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session.id, 'revoked_by_user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke session',
+      message: error.message 
+    });
+  }
+});
+
+// Respond to account linking errors with their status, anything else as a 500
+const handleLinkError = (res, error, label) => {
+  if (error instanceof IdTokenError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error instanceof AccountLinkError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ 
+    error: `${label} failed`,
+    message: error.message 
+  });
+};
+
+// List sign-in methods linked to the account
+router.get('/identities', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: BigInt(req.userId) }
+    });
+    const identities = await listIdentities(req.userId);
+
+    res.json({
+      success: true,
+      identities: identities.map(identity => ({
+        provider: identity.provider,
+        email: identity.email,
+        linkedAt: identity.created_at,
+        lastUsedAt: identity.last_used_at
+      })),
+      phone: user.phone_verified ? user.phone : null,
+      hasPassword: Boolean(user.password_hash)
+    });
+
+  } catch (error) {
+    console.error('List identities error:', error);
+    res.status(500).json({ 
+      error: 'Failed to list identities',
+      message: error.message 
+    });
+  }
+});
+
+// Link a Google account to the signed-in user
+router.post('/link/google', [
+  body('idToken').notEmpty().withMessage('ID token is required')
+], validateRequest, authenticateToken, async (req, res) => {
+  try {
+    const payload = await verifyGoogleIdToken(req.body.idToken);
+
+    await linkIdentity(req.userId, {
+      provider: 'google',
+      providerUserId: payload.sub,
+      email: payload.email,
+      emailVerified: payload.email_verified,
+      trustEmail: true
+    });
+
+    res.json({
+      success: true,
+      message: 'Google account linked successfully'
+    });
+
+  } catch (error) {
+    handleLinkError(res, error, 'Link Google account');
+  }
+});
+
+// Link an Apple or OpenID Connect account to the signed-in user
+router.post('/link/oidc/:provider', [
+  body('idToken').notEmpty().withMessage('ID token is required'),
+  body('nonce').optional().isString().withMessage('Nonce must be a string')
+], validateRequest, authenticateToken, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const claims = await verifyIdToken(provider, req.body.idToken, { nonce: req.body.nonce });
+
+    await linkIdentity(req.userId, { provider, ...claims });
+
+    res.json({
+      success: true,
+      message: `${provider} account linked successfully`
+    });
+
+  } catch (error) {
+    handleLinkError(res, error, 'Link identity');
+  }
+});
+
+// Link a phone number (verified by OTP) to the signed-in user
+router.post('/link/phone', [
+  body('phone').isMobilePhone().withMessage('Valid phone number is required'),
+  body('code').isLength({ min: 6, max: 6 }).withMessage('6-digit code is required')
+], validateRequest, authenticateToken, async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+
+    const codeError = await checkPhoneCode(phone, code, req.ip);
+    if (codeError) {
+      return res.status(codeError.status).json({ error: codeError.error, retryAfter: codeError.retryAfter });
+    }
+
+    const user = await linkPhone(req.userId, phone);
+
+    res.json({
+      success: true,
+      message: 'Phone number linked successfully',
+      phone: user.phone
+    });
+
+  } catch (error) {
+    handleLinkError(res, error, 'Link phone');
+  }
+});
+
+// Unlink an external identity provider
+router.delete('/link/:provider', authenticateToken, async (req, res) => {
+  try {
+    await unlinkIdentity(req.userId, req.params.provider);
+
+    res.json({
+      success: true,
+      message: `${req.params.provider} account unlinked successfully`
+    });
+
+  } catch (error) {
+    handleLinkError(res, error, 'Unlink identity');
+  }
+});
+
+// Merge a duplicate account into the signed-in one. The caller proves they own the
+// duplicate with an ID token from its Google/Apple/OIDC identity or a phone OTP.
+router.post('/link/merge', [
+  body('provider').isString().notEmpty().withMessage('Provider is required'),
+  body('idToken').if(body('provider').not().equals('phone')).notEmpty().withMessage('ID token is required'),
+  body('phone').if(body('provider').equals('phone')).isMobilePhone().withMessage('Valid phone number is required'),
+  body('code').if(body('provider').equals('phone')).isLength({ min: 6, max: 6 }).withMessage('6-digit code is required')
+], validateRequest, authenticateToken, async (req, res) => {
+  try {
+    const { provider, idToken, nonce, phone, code } = req.body;
+    let duplicate;
+
+    if (provider === 'phone') {
+      const codeError = await checkPhoneCode(phone, code, req.ip);
+      if (codeError) {
+        return res.status(codeError.status).json({ error: codeError.error, retryAfter: codeError.retryAfter });
+      }
+      duplicate = await prisma.user.findUnique({ where: { phone } });
+    } else {
+      const claims = await verifyProviderIdToken(provider, idToken, { nonce });
+      const identity = await prisma.userIdentity.findUnique({
+        where: { provider_provider_user_id: { provider, provider_user_id: claims.providerUserId } }
+      });
+      duplicate = identity && await prisma.user.findUnique({ where: { id: identity.user_id } });
+    }
+
+    if (!duplicate) {
+      return res.status(404).json({ error: 'No other account found for this sign-in method' });
+    }
+
+    const user = await mergeUsers(req.userId, duplicate.id);
+
+    res.json({
+      success: true,
+      message: 'Accounts merged successfully',
+      user: serializeUser(user, 'self')
+    });
+
+  } catch (error) {
+    handleLinkError(res, error, 'Merge accounts');
+  }
+});
+
+// Authenticate with an access token, or with the 2FA enrollment challenge issued at
+// sign-in to admins who have not set up 2FA yet
+const authenticateForEnrollment = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  const challenge = verifyMfaChallenge(req.body.challengeToken);
+  if (!challenge || !challenge.enroll) {
+    return res.status(401).json({ error: 'Invalid or expired challenge' });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: BigInt(challenge.userId) }
+    });
+
+    if (!user || user.status === 'suspended') {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    req.userId = challenge.userId;
+    req.user = user;
+    req.mfaChallenge = challenge;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Two-factor status for the signed-in user
+router.get('/2fa/status', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      enabled: req.user.totp_enabled,
+      required: req.user.user_type === 'admin',
+      backupCodesRemaining: req.user.totp_enabled ? await remainingBackupCodes(req.user.id) : 0
+    });
+
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get two-factor status',
+      message: error.message 
+    });
+  }
+});
+
+// Start TOTP enrollment: returns the secret and an otpauth:// URI for a QR code
+router.post('/2fa/setup', authenticateForEnrollment, async (req, res) => {
+  try {
+    if (req.user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUri } = await beginEnrollment(req.user);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start two-factor setup',
+      message: error.message 
+    });
+  }
+});
+
+// Confirm enrollment with a code from the authenticator app; returns backup codes once
+router.post('/2fa/enable', [
+  body('code').isLength({ min: 6, max: 6 }).withMessage('6-digit code is required')
+], validateRequest, authenticateForEnrollment, async (req, res) => {
+  try {
+    if (req.user.totp_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!req.user.totp_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const backupCodes = await enableTwoFactor(req.user, req.body.code);
+
+    if (!backupCodes) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    // Enrollment during sign-in completes the sign-in
+    const tokens = req.mfaChallenge
+      ? await issueTokens(req.user, req, req.mfaChallenge.deviceName)
+      : {};
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      backupCodes,
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ 
+      error: 'Failed to enable two-factor authentication',
+      message: error.message 
+    });
+  }
+});
+
+// Second sign-in step: exchange the challenge and a TOTP or backup code for tokens
+router.post('/2fa/verify', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isLength({ min: 6, max: 6 }).withMessage('6-digit code is required'),
+  body('backupCode').optional().isString().withMessage('Backup code must be a string'),
+  body().custom(value => Boolean(value.code || value.backupCode)).withMessage('Code or backup code is required')
+], validateRequest, async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    const challenge = verifyMfaChallenge(challengeToken);
+    if (!challenge || challenge.enroll) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: BigInt(challenge.userId) }
+    });
+
+    if (!user || user.status === 'suspended' || !user.totp_enabled) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    if (!(await verifyChallengeSecondFactor(challenge, user, { code, backupCode }))) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    const tokens = await issueTokens(user, req, challenge.deviceName);
+
+    res.json({
+      success: true,
+      message: 'Two-factor verification successful',
+      user: serializeUser(user, 'self'),
+      onboarding: onboardingInfo(user),
+      ...tokens
+    });
+
+  } catch (error) {
+    if (error instanceof OtpError) {
+      return res.status(error.status).json({ error: error.message, retryAfter: error.retryAfter });
+    }
+    console.error('2FA verify error:', error);
+    res.status(500).json({ 
+      error: 'Two-factor verification failed',
+      message: error.message 
+    });
+  }
+});
+
+// Replace backup codes (requires a current TOTP code)
+router.post('/2fa/backup-codes', [
+  body('code').isLength({ min: 6, max: 6 }).withMessage('6-digit code is required')
+], validateRequest, authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(req.user, { code: req.body.code }))) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    const backupCodes = await regenerateBackupCodes(req.user.id);
+
+    res.json({
+      success: true,
+      backupCodes
+    });
+
+  } catch (error) {
+    if (error instanceof OtpError) {
+      return res.status(error.status).json({ error: error.message, retryAfter: error.retryAfter });
+    }
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({ 
+      error: 'Failed to regenerate backup codes',
+      message: error.message 
+    });
+  }
+});
+
+// Turn off 2FA (not allowed for admins)
+router.post('/2fa/disable', [
+  body('code').optional().isLength({ min: 6, max: 6 }).withMessage('6-digit code is required'),
+  body('backupCode').optional().isString().withMessage('Backup code must be a string')
+], validateRequest, authenticateToken, async (req, res) => {
+  try {
+    if (req.user.user_type === 'admin') {
+      return res.status(403).json({ error: 'Two-factor authentication is mandatory for admin accounts' });
+    }
+
+    if (!req.user.totp_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(req.user, req.body))) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    await disableTwoFactor(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    if (error instanceof OtpError) {
+      return res.status(error.status).json({ error: error.message, retryAfter: error.retryAfter });
+    }
+    console.error('2FA disable error:', error);
+    res.status(500).json({ 
+      error: 'Failed to disable two-factor authentication',
+      message: error.message 
+    });
   }
 });
 
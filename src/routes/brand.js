@@ -0,0 +1,153 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('../generated/client');
+const { authenticateToken, requireActiveUser, requireRole, requireBrandProfile } = require('../middleware/auth');
+const { completeOnboardingStep } = require('../services/onboardingService');
+const { locationError, normalizeLocation, normalizeState, normalizeCity } = require('../services/pincodeService');
+const { COMPANY_SIZES, serializeBrandProfile } = require('../serializers');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules shared by create and update; `optional` relaxes required fields
+const brandProfileRules = (optional) => [
+  optional
+    ? body('companyName').optional().trim().notEmpty().withMessage('Company name cannot be empty')
+    : body('companyName').trim().notEmpty().withMessage('Company name is required'),
+  body('industry').optional().trim().isLength({ max: 100 }).withMessage('Industry is too long'),
+  body('website').optional({ values: 'falsy' }).isURL({ protocols: ['http', 'https'] }).withMessage('Valid website URL is required'),
+  body('logoUrl').optional({ values: 'falsy' }).isURL().withMessage('Valid logo URL is required'),
+  body('companySize').optional().isIn(Object.keys(COMPANY_SIZES)).withMessage('Valid company size is required'),
+  body('description').optional().isString().isLength({ max: 2000 }).withMessage('Description is too long'),
+  body('locationCountry').optional().trim().notEmpty().withMessage('Country cannot be empty'),
+  body('locationCity').optional().trim().notEmpty().withMessage('City cannot be empty'),
+  body('locationState').optional().trim().notEmpty().withMessage('State cannot be empty'),
+  // Indian pincode; city and state, when given, must match it
+  body('locationPincode').optional().custom((pincode, { req }) => {
+    const message = locationError({ pincode, city: req.body.locationCity, state: req.body.locationState });
+    if (message) throw new Error(message);
+    return true;
+  })
+];
+
+// Map request fields to BrandProfile columns, skipping ones not provided
+const brandProfileData = (input) => {
+  const data = {};
+  if (input.companyName !== undefined) data.company_name = input.companyName;
+  if (input.industry !== undefined) data.industry = input.industry;
+  if (input.website !== undefined) data.website_url = input.website || null;
+  if (input.logoUrl !== undefined) data.logo_url = input.logoUrl || null;
+  if (input.companySize !== undefined) data.company_size = COMPANY_SIZES[input.companySize];
+  if (input.description !== undefined) data.description = input.description;
+  if (input.locationCountry !== undefined) data.location_country = input.locationCountry;
+  if (input.locationCity !== undefined) data.location_city = normalizeCity(input.locationCity);
+  // States outside India are kept as typed
+  if (input.locationState !== undefined) data.location_state = normalizeState(input.locationState) || input.locationState;
+
+  // A pincode fills in the canonical city and state
+  if (input.locationPincode !== undefined) {
+    const location = normalizeLocation({
+      pincode: input.locationPincode,
+      city: input.locationCity,
+      state: input.locationState
+    });
+    data.location_pincode = location.pincode;
+    data.location_country = 'India';
+    if (location.city) data.location_city = location.city;
+    if (location.state) data.location_state = location.state;
+  }
+  return data;
+};
+
+// Get the brand profile of the signed-in brand
+router.get('/profile', authenticateToken, requireActiveUser, requireRole('brand'), requireBrandProfile, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      profile: serializeBrandProfile(req.brandProfile, 'self')
+    });
+
+  } catch (error) {
+    console.error('Get brand profile error:', error);
+    res.status(500).json({
+      error: 'Failed to get brand profile',
+      message: error.message
+    });
+  }
+});
+
+// Create brand profile (brand onboarding)
+router.post('/profile', authenticateToken, requireActiveUser, requireRole('brand'), brandProfileRules(false), validateRequest, async (req, res) => {
+  try {
+    const existingProfile = await prisma.brandProfile.findFirst({
+      where: { user_id: req.user.id }
+    });
+
+    if (existingProfile) {
+      return res.status(409).json({ error: 'Brand profile already exists' });
+    }
+
+    const brandProfile = await prisma.brandProfile.create({
+      data: {
+        user_id: req.user.id,
+        ...brandProfileData(req.body)
+      }
+    });
+
+    await completeOnboardingStep(req.user.id, 'company');
+    // Brands that signed up with a verified email have nothing left to verify
+    if (req.user.email_verified) {
+      await completeOnboardingStep(req.user.id, 'verification');
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Brand profile created successfully',
+      profile: serializeBrandProfile(brandProfile, 'self')
+    });
+
+  } catch (error) {
+    console.error('Create brand profile error:', error);
+    res.status(500).json({
+      error: 'Failed to create brand profile',
+      message: error.message
+    });
+  }
+});
+
+// Update brand profile
+router.put('/profile', authenticateToken, requireActiveUser, requireRole('brand'), requireBrandProfile, brandProfileRules(true), validateRequest, async (req, res) => {
+  try {
+    const brandProfile = await prisma.brandProfile.update({
+      where: { id: req.brandProfile.id },
+      data: brandProfileData(req.body)
+    });
+
+    res.json({
+      success: true,
+      message: 'Brand profile updated successfully',
+      profile: serializeBrandProfile(brandProfile, 'self')
+    });
+
+  } catch (error) {
+    console.error('Update brand profile error:', error);
+    res.status(500).json({
+      error: 'Failed to update brand profile',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const { getCategoryTree } = require('../services/categoryService');
+const { serializeCategory } = require('../serializers');
+
+const router = express.Router();
+
+// Active categories as a tree, for pickers in the app; no sign-in required
+router.get('/', async (req, res) => {
+  try {
+    const categories = await getCategoryTree();
+
+    res.json({
+      success: true,
+      categories: categories.map(category => serializeCategory(category))
+    });
+
+  } catch (error) {
+    console.error('List categories error:', error);
+    res.status(500).json({
+      error: 'Failed to list categories',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
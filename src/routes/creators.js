@@ -0,0 +1,162 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { PrismaClient } = require('../generated/client');
+const { normalizeHandle } = require('../services/handleService');
+const { normalizeLanguage } = require('../services/languageService');
+const { normalizeCategorySlug } = require('../services/categoryService');
+const { serializeCreatorProfile, serializeCreatorPackage } = require('../serializers');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Creators with a public page: suspended, merged and deleted accounts are hidden
+const publicCreatorWhere = {
+  handle: { not: null },
+  user: { status: { not: 'suspended' }, deleted_at: null }
+};
+
+// Packages brands can see, in the creator's chosen order
+const publicPackages = {
+  where: { status: 'active' },
+  orderBy: [{ position: 'asc' }, { created_at: 'asc' }]
+};
+
+// Public creator card: profile plus the user's name and picture
+const formatPublicCreator = (creatorProfile) => ({
+  ...serializeCreatorProfile(creatorProfile, 'public'),
+  name: creatorProfile.user.name,
+  profileImage: creatorProfile.user.profile_image_url
+});
+
+// Find a creator by handle; suspended, merged and deleted accounts have no public page
+const findPublicCreator = async (handle, include) => {
+  const creatorProfile = await prisma.creatorProfile.findUnique({
+    where: { handle: normalizeHandle(handle) },
+    include: { ...include, user: true }
+  });
+
+  if (!creatorProfile || creatorProfile.user.status === 'suspended' || creatorProfile.user.deleted_at) {
+    return null;
+  }
+  return creatorProfile;
+};
+
+// Browse creators: ?language=hi&category=fashion&page=&limit=. `language` takes an
+// ISO 639 code or English name.
+router.get('/', [
+  query('language').optional().custom(value => {
+    if (!normalizeLanguage(value)) throw new Error('Unknown language');
+    return true;
+  }).customSanitizer(normalizeLanguage),
+  query('category').optional().customSanitizer(normalizeCategorySlug),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], validateRequest, async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const where = {
+      ...publicCreatorWhere,
+      ...(req.query.language && { languages: { array_contains: [req.query.language] } }),
+      ...(req.query.category && { content_categories: { array_contains: [req.query.category] } })
+    };
+
+    const [total, creators] = await Promise.all([
+      prisma.creatorProfile.count({ where }),
+      prisma.creatorProfile.findMany({
+        where,
+        include: { user: true },
+        orderBy: [{ featured: 'desc' }, { follower_count: 'desc' }, { id: 'asc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+
+    res.json({
+      success: true,
+      creators: creators.map(formatPublicCreator),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('List creators error:', error);
+    res.status(500).json({
+      error: 'Failed to list creators',
+      message: error.message
+    });
+  }
+});
+
+// Public creator profile for brands; no sign-in required. Contact details, KYC and
+// date of birth are left out by the public serializer view.
+router.get('/:handle', async (req, res) => {
+  try {
+    const creatorProfile = await findPublicCreator(req.params.handle, {
+      social_media_accounts: true,
+      portfolio_items: {
+        where: { is_featured: true },
+        orderBy: { created_at: 'desc' }
+      },
+      packages: publicPackages
+    });
+
+    if (!creatorProfile) {
+      return res.status(404).json({ error: 'Creator not found' });
+    }
+
+    res.json({
+      success: true,
+      creator: formatPublicCreator(creatorProfile)
+    });
+
+  } catch (error) {
+    console.error('Get creator error:', error);
+    res.status(500).json({
+      error: 'Failed to get creator',
+      message: error.message
+    });
+  }
+});
+
+// Active packages of a creator
+router.get('/:handle/packages', async (req, res) => {
+  try {
+    const creatorProfile = await findPublicCreator(req.params.handle, { packages: publicPackages });
+
+    if (!creatorProfile) {
+      return res.status(404).json({ error: 'Creator not found' });
+    }
+
+    res.json({
+      success: true,
+      packages: creatorProfile.packages.map(pkg => serializeCreatorPackage(pkg, 'public'))
+    });
+
+  } catch (error) {
+    console.error('Get creator packages error:', error);
+    res.status(500).json({
+      error: 'Failed to get creator packages',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
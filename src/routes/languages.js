@@ -0,0 +1,14 @@
+const express = require('express');
+const { LANGUAGES } = require('../services/languageService');
+
+const router = express.Router();
+
+// Languages creators can pick, with ISO 639 codes; no sign-in required
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    languages: LANGUAGES
+  });
+});
+
+module.exports = router;
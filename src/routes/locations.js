@@ -0,0 +1,44 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { PINCODE_PATTERN, normalizePincode, lookupPincode } = require('../services/pincodeService');
+
+const router = express.Router();
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// City, district and state for a pincode, to prefill address forms; no sign-in required
+router.get('/pincode/:pin', [
+  param('pin').customSanitizer(normalizePincode).matches(PINCODE_PATTERN).withMessage('Enter a valid 6-digit pincode')
+], validateRequest, (req, res) => {
+  try {
+    const location = lookupPincode(req.params.pin);
+
+    if (!location) {
+      return res.status(404).json({ error: 'Pincode not found' });
+    }
+
+    res.json({
+      success: true,
+      location
+    });
+
+  } catch (error) {
+    console.error('Pincode lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to look up pincode',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, validationResult } = require('express-validator');
+const { PrismaClient } = require('../generated/client');
+const { authenticateToken, requireActiveUser, requireOwnership } = require('../middleware/auth');
+const {
+  MediaError,
+  MEDIA_PURPOSES,
+  MAX_UPLOAD_BYTES,
+  storeUpload,
+  isPrivateMedia,
+  openMediaStream,
+  recordMediaAccess,
+  createSignedMediaUrl,
+  verifySignedMediaUrl
+} = require('../services/mediaService');
+const { serializeMedia } = require('../serializers');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Files are kept in memory until validated, then written through the storage backend
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Parse the single `file` field, turning multer errors into 4xx responses
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message });
+    }
+    next(error);
+  });
+};
+
+// Load the media row into req.media, or respond 404
+const loadMedia = [
+  param('id').isInt({ min: 1 }).withMessage('Valid media id is required'),
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      req.media = await prisma.media.findUnique({ where: { id: BigInt(req.params.id) } });
+      if (!req.media) {
+        return res.status(404).json({ error: 'Media not found' });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+];
+
+const requireMediaOwner = requireOwnership(req => req.media.owner_id, { notFoundMessage: 'Media not found' });
+
+// Upload a file for a purpose (avatar, portfolio, kyc, message_attachment).
+// Other routes take the returned media id instead of a URL.
+router.post('/', authenticateToken, requireActiveUser, receiveFile, [
+  body('purpose').isIn(Object.keys(MEDIA_PURPOSES)).withMessage(`Purpose must be one of: ${Object.keys(MEDIA_PURPOSES).join(', ')}`)
+], validateRequest, async (req, res) => {
+  try {
+    const media = await storeUpload(req.user.id, req.body.purpose, req.file);
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      media: serializeMedia(media, 'self')
+    });
+
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Upload media error:', error);
+    res.status(500).json({
+      error: 'Failed to upload file',
+      message: error.message
+    });
+  }
+});
+
+// Media details for the owner or an admin
+router.get('/:id', loadMedia, authenticateToken, requireMediaOwner, (req, res) => {
+  res.json({
+    success: true,
+    media: serializeMedia(req.media, req.user.user_type === 'admin' ? 'admin' : 'self')
+  });
+});
+
+// Issue a short-lived download link for private media (KYC documents, attachments)
+router.post('/:id/signed-url', loadMedia, authenticateToken, requireMediaOwner, async (req, res) => {
+  try {
+    if (!isPrivateMedia(req.media)) {
+      return res.status(400).json({ error: 'Public media does not need a signed link' });
+    }
+
+    const { url, expiresAt } = await createSignedMediaUrl(req.media, req.user.id, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      success: true,
+      url,
+      expiresAt
+    });
+
+  } catch (error) {
+    console.error('Sign media url error:', error);
+    res.status(500).json({
+      error: 'Failed to create download link',
+      message: error.message
+    });
+  }
+});
+
+// File contents. Public media (avatars, portfolio) is open to anyone; private
+// media needs a valid signed link, and every download is recorded.
+router.get('/:id/content', loadMedia, async (req, res, next) => {
+  if (!isPrivateMedia(req.media)) return next();
+
+  const userId = verifySignedMediaUrl(req.media, req.query);
+  if (!userId) {
+    return res.status(403).json({ error: 'Download link is invalid or has expired' });
+  }
+
+  try {
+    await recordMediaAccess(req.media, userId, 'downloaded', {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+}, (req, res) => {
+  const stream = openMediaStream(req.media);
+
+  stream.on('error', (error) => {
+    console.error('Read media error:', error);
+    if (!res.headersSent) {
+      res.status(error.code === 'ENOENT' ? 404 : 500).json({ error: 'Failed to read file' });
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  res.set({
+    'Content-Type': req.media.mime_type,
+    'Content-Length': req.media.size_bytes,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': isPrivateMedia(req.media) ? 'private, no-store' : 'public, max-age=86400'
+  });
+  stream.pipe(res);
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { getOnboardingState } = require('../services/onboardingService');
+
+const router = express.Router();
+
+// Get onboarding progress: completed/pending steps and the next one to show
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      onboarding: getOnboardingState(req.user)
+    });
+
+  } catch (error) {
+    console.error('Get onboarding error:', error);
+    res.status(500).json({
+      error: 'Failed to get onboarding state',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
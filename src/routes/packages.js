@@ -0,0 +1,195 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { PrismaClient, SocialPlatform } = require('../generated/client');
+const {
+  authenticateToken,
+  requireActiveUser,
+  requireRole,
+  requireOwnership,
+  requireCreatorProfile
+} = require('../middleware/auth');
+const {
+  PackageError,
+  listCreatorPackages,
+  createPackage,
+  updatePackage,
+  setPackageStatus,
+  reorderPackages
+} = require('../services/packageService');
+const { completeOnboardingStep } = require('../services/onboardingService');
+const { serializeCreatorPackage } = require('../serializers');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Validation rules shared by create and update; `optional` relaxes required fields
+const packageRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').trim().isLength({ min: 1, max: 120 }).withMessage('Title is required (max 120 characters)'),
+    field('platform').customSanitizer(value => String(value).toLowerCase())
+      .isIn(Object.values(SocialPlatform)).withMessage('Valid platform is required'),
+    field('contentType').trim().notEmpty().withMessage('Content type is required'),
+    field('quantity').isInt({ min: 1, max: 100 }).toInt().withMessage('Quantity must be 1-100'),
+    field('revisions').isInt({ min: 0, max: 10 }).toInt().withMessage('Revisions must be 0-10'),
+    field('price').isFloat({ min: 0 }).withMessage('Valid price required'),
+    body('duration').optional({ values: 'null' }).isString().trim().isLength({ max: 50 }).withMessage('Duration is too long'),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 2000 }).withMessage('Description is too long'),
+    body('currency').optional().isISO4217().withMessage('Valid currency code required')
+  ];
+};
+
+// Map request fields to CreatorPackage columns, skipping ones not provided
+const packageData = (input) => {
+  const data = {};
+  if (input.title !== undefined) data.title = input.title;
+  if (input.description !== undefined) data.description = input.description;
+  if (input.platform !== undefined) data.platform = input.platform;
+  if (input.contentType !== undefined) data.content_type = input.contentType;
+  if (input.quantity !== undefined) data.quantity = input.quantity;
+  if (input.revisions !== undefined) data.revisions = input.revisions;
+  if (input.duration !== undefined) data.duration = input.duration;
+  if (input.price !== undefined) data.price = input.price.toString();
+  if (input.currency !== undefined) data.currency = input.currency.toUpperCase();
+  return data;
+};
+
+// Load the package into req.creatorPackage and allow only its creator (or an admin)
+const requirePackageOwner = [
+  param('id').isInt({ min: 1 }).withMessage('Valid package id is required'),
+  validateRequest,
+  authenticateToken,
+  requireActiveUser,
+  requireOwnership(async (req) => {
+    req.creatorPackage = await prisma.creatorPackage.findUnique({
+      where: { id: BigInt(req.params.id) },
+      include: { creator: { select: { user_id: true } } }
+    });
+    return req.creatorPackage?.creator.user_id;
+  }, { notFoundMessage: 'Package not found' })
+];
+
+// Respond to package errors with their status, anything else as a 500
+const handlePackageError = (res, error, logLabel, failureMessage) => {
+  if (error instanceof PackageError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${logLabel}:`, error);
+  res.status(500).json({
+    error: failureMessage,
+    message: error.message
+  });
+};
+
+// List the signed-in creator's packages (?includeArchived=true for archived ones too)
+router.get('/', authenticateToken, requireActiveUser, requireRole('creator'), requireCreatorProfile, async (req, res) => {
+  try {
+    const statuses = req.query.includeArchived === 'true'
+      ? ['active', 'paused', 'archived']
+      : ['active', 'paused'];
+    const packages = await listCreatorPackages(req.creatorProfile.id, { statuses });
+
+    res.json({
+      success: true,
+      packages: packages.map(pkg => serializeCreatorPackage(pkg, 'self'))
+    });
+
+  } catch (error) {
+    handlePackageError(res, error, 'List packages error', 'Failed to list packages');
+  }
+});
+
+// Create a package
+router.post('/', authenticateToken, requireActiveUser, requireRole('creator'), requireCreatorProfile, packageRules(false), validateRequest, async (req, res) => {
+  try {
+    const pkg = await createPackage(req.creatorProfile.id, packageData(req.body));
+
+    await completeOnboardingStep(req.user.id, 'package');
+
+    res.status(201).json({
+      success: true,
+      message: 'Package created successfully',
+      package: serializeCreatorPackage(pkg, 'self')
+    });
+
+  } catch (error) {
+    handlePackageError(res, error, 'Create package error', 'Failed to create package');
+  }
+});
+
+// Set the display order of the creator's packages
+router.put('/order', [
+  body('packageIds').isArray({ min: 1 }).withMessage('packageIds must be a non-empty array'),
+  body('packageIds.*').isInt({ min: 1 }).withMessage('Package ids must be integers')
+], validateRequest, authenticateToken, requireActiveUser, requireRole('creator'), requireCreatorProfile, async (req, res) => {
+  try {
+    const packages = await reorderPackages(req.creatorProfile.id, req.body.packageIds);
+
+    res.json({
+      success: true,
+      message: 'Packages reordered successfully',
+      packages: packages.map(pkg => serializeCreatorPackage(pkg, 'self'))
+    });
+
+  } catch (error) {
+    handlePackageError(res, error, 'Reorder packages error', 'Failed to reorder packages');
+  }
+});
+
+// Get one of the creator's packages
+router.get('/:id', requirePackageOwner, async (req, res) => {
+  res.json({
+    success: true,
+    package: serializeCreatorPackage(req.creatorPackage, 'self')
+  });
+});
+
+// Edit a package
+router.put('/:id', requirePackageOwner, packageRules(true), validateRequest, async (req, res) => {
+  try {
+    const pkg = await updatePackage(req.creatorPackage, packageData(req.body));
+
+    res.json({
+      success: true,
+      message: 'Package updated successfully',
+      package: serializeCreatorPackage(pkg, 'self')
+    });
+
+  } catch (error) {
+    handlePackageError(res, error, 'Update package error', 'Failed to update package');
+  }
+});
+
+// Pause, resume and archive; paused packages are hidden from brands but can be resumed
+const statusRoutes = { pause: 'paused', resume: 'active', archive: 'archived' };
+
+Object.entries(statusRoutes).forEach(([action, status]) => {
+  router.post(`/:id/${action}`, requirePackageOwner, async (req, res) => {
+    try {
+      const pkg = await setPackageStatus(req.creatorPackage, status);
+
+      res.json({
+        success: true,
+        message: `Package ${status}`,
+        package: serializeCreatorPackage(pkg, 'self')
+      });
+
+    } catch (error) {
+      handlePackageError(res, error, `Package ${action} error`, `Failed to ${action} package`);
+    }
+  });
+});
+
+module.exports = router;
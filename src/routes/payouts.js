@@ -0,0 +1,191 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { PrismaClient } = require('../generated/client');
+const {
+  authenticateToken,
+  requireActiveUser,
+  requireRole,
+  requireOwnership,
+  requireCreatorProfile
+} = require('../middleware/auth');
+const { IFSC_PATTERN, normalizeIfsc, lookupIfsc } = require('../services/ifscService');
+const {
+  PayoutError,
+  listPayoutMethods,
+  addBankAccount,
+  addUpiId,
+  verifyPayoutMethod,
+  setPrimaryPayoutMethod,
+  removePayoutMethod
+} = require('../services/payoutService');
+const { serializePayoutMethod } = require('../serializers');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Respond to payout errors with their status, anything else as a 500
+const handlePayoutError = (res, error, logLabel, failureMessage) => {
+  if (error instanceof PayoutError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${logLabel}:`, error);
+  res.status(500).json({
+    error: failureMessage,
+    message: error.message
+  });
+};
+
+const ifscRule = (field) => field.customSanitizer(normalizeIfsc)
+  .matches(IFSC_PATTERN).withMessage('IFSC must look like SBIN0001234');
+
+// Load the payout method into req.payoutMethod and allow only its creator. Admins
+// are not allowed here: payout details are changed by the creator only.
+const requirePayoutMethodOwner = [
+  param('id').isInt({ min: 1 }).withMessage('Valid payout method id is required'),
+  validateRequest,
+  authenticateToken,
+  requireActiveUser,
+  requireRole('creator'),
+  requireOwnership(async (req) => {
+    const method = await prisma.payoutMethod.findUnique({
+      where: { id: BigInt(req.params.id) },
+      include: { creator: { select: { user_id: true } } }
+    });
+    req.payoutMethod = method && !method.removed_at ? method : null;
+    return req.payoutMethod?.creator.user_id;
+  }, { allowAdmin: false, notFoundMessage: 'Payout method not found' })
+];
+
+// Bank and branch for an IFSC, for autofilling the bank account form. `branchVerified`
+// is false when the dataset could only confirm the bank.
+router.get('/ifsc/:code', ifscRule(param('code')), validateRequest, (req, res) => {
+  const branch = lookupIfsc(req.params.code);
+
+  if (!branch) {
+    return res.status(404).json({ error: 'Unknown IFSC code' });
+  }
+
+  res.json({
+    success: true,
+    ...branch
+  });
+});
+
+// List the creator's payout methods, primary first
+router.get('/methods', authenticateToken, requireActiveUser, requireRole('creator'), requireCreatorProfile, async (req, res) => {
+  try {
+    const methods = await listPayoutMethods(req.creatorProfile.id);
+
+    res.json({
+      success: true,
+      methods: methods.map(method => serializePayoutMethod(method, 'self'))
+    });
+
+  } catch (error) {
+    handlePayoutError(res, error, 'List payout methods error', 'Failed to list payout methods');
+  }
+});
+
+// Add a bank account
+router.post('/methods/bank', [
+  body('accountNumber').customSanitizer(value => String(value || '').replace(/\s/g, ''))
+    .matches(/^[0-9]{9,18}$/).withMessage('Account number must be 9-18 digits'),
+  body('confirmAccountNumber').customSanitizer(value => String(value || '').replace(/\s/g, ''))
+    .custom((value, { req }) => value === req.body.accountNumber).withMessage('Account numbers do not match'),
+  ifscRule(body('ifsc')),
+  body('accountHolderName').trim().isLength({ min: 2, max: 100 }).withMessage('Account holder name is required')
+], validateRequest, authenticateToken, requireActiveUser, requireRole('creator'), requireCreatorProfile, async (req, res) => {
+  try {
+    const method = await addBankAccount(req.creatorProfile.id, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bank account added successfully',
+      method: serializePayoutMethod(method, 'self')
+    });
+
+  } catch (error) {
+    handlePayoutError(res, error, 'Add bank account error', 'Failed to add bank account');
+  }
+});
+
+// Add a UPI id
+router.post('/methods/upi', [
+  body('upiId').trim().toLowerCase()
+    .matches(/^[a-z0-9._-]{2,256}@[a-z][a-z0-9]{1,63}$/).withMessage('UPI id must look like name@bank'),
+  body('accountHolderName').trim().isLength({ min: 2, max: 100 }).withMessage('Account holder name is required')
+], validateRequest, authenticateToken, requireActiveUser, requireRole('creator'), requireCreatorProfile, async (req, res) => {
+  try {
+    const method = await addUpiId(req.creatorProfile.id, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'UPI id added successfully',
+      method: serializePayoutMethod(method, 'self')
+    });
+
+  } catch (error) {
+    handlePayoutError(res, error, 'Add UPI id error', 'Failed to add UPI id');
+  }
+});
+
+// Verify a payout method against the creator's verified KYC, or send it for review
+router.post('/methods/:id/verify', requirePayoutMethodOwner, async (req, res) => {
+  try {
+    const method = await verifyPayoutMethod(req.payoutMethod, req.user);
+
+    res.json({
+      success: true,
+      message: method.status === 'in_review' ? 'Payout method sent for review' : 'Payout method verified',
+      method: serializePayoutMethod(method, 'self')
+    });
+
+  } catch (error) {
+    handlePayoutError(res, error, 'Verify payout method error', 'Failed to verify payout method');
+  }
+});
+
+// Make a verified payout method the primary one
+router.post('/methods/:id/primary', requirePayoutMethodOwner, async (req, res) => {
+  try {
+    const method = await setPrimaryPayoutMethod(req.payoutMethod, req.user);
+
+    res.json({
+      success: true,
+      message: 'Primary payout method updated',
+      method: serializePayoutMethod(method, 'self')
+    });
+
+  } catch (error) {
+    handlePayoutError(res, error, 'Set primary payout method error', 'Failed to update primary payout method');
+  }
+});
+
+// Remove a payout method
+router.delete('/methods/:id', requirePayoutMethodOwner, async (req, res) => {
+  try {
+    await removePayoutMethod(req.payoutMethod, req.user);
+
+    res.json({
+      success: true,
+      message: 'Payout method removed'
+    });
+
+  } catch (error) {
+    handlePayoutError(res, error, 'Remove payout method error', 'Failed to remove payout method');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,35 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('../generated/client');
+const { PrismaClient, SocialPlatform } = require('../generated/client');
+const { authenticateToken, requireRole, requireCreatorProfile } = require('../middleware/auth');
+const { sendVerificationEmail } = require('../services/emailTokenService');
+const { completeOnboardingStep } = require('../services/onboardingService');
+const { createPackage } = require('../services/packageService');
+const { normalizeCategorySlug, assertCategorySlugs } = require('../services/categoryService');
+const { locationError, normalizeLocation } = require('../services/pincodeService');
+const { normalizeLanguage, assertLanguages } = require('../services/languageService');
+const { MediaError, findOwnedMedia, mediaUrl } = require('../services/mediaService');
+const {
+  KycError,
+  KYC_DOCUMENTS,
+  normalizeDocumentNumber,
+  documentNumberError,
+  submitKyc,
+  kycDocumentLinks
+} = require('../services/kycService');
+const {
+  normalizeHandle,
+  handleError,
+  isHandleTaken,
+  ensureCreatorHandle
+} = require('../services/handleService');
+const {
+  serializeUser,
+  serializeCreatorProfile,
+  serializeKyc,
+  serializePortfolioItem,
+  serializeCreatorPackage
+} = require('../serializers');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -18,23 +46,6 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
-  }
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    req.userId = decoded.userId;
-    next();
-  } catch (error) {
-    return res.status(401).json({ error: 'Invalid token' });
-  }
-};
-
 // Update user basic info (from ProfileSetupScreen)
 router.post('/update-basic-info', [
   body('gender').isIn(['Male', 'Female', 'Other']).withMessage('Valid gender is required'),
@@ -42,27 +53,45 @@ router.post('/update-basic-info', [
   body('dob').notEmpty().withMessage('Date of birth is required'),
   body('state').notEmpty().withMessage('State is required'),
   body('city').notEmpty().withMessage('City is required'),
-  body('pincode').notEmpty().withMessage('Pincode is required')
-], validateRequest, authenticateToken, async (req, res) => {
+  body('pincode').notEmpty().withMessage('Pincode is required').bail()
+    .custom((pincode, { req }) => {
+      const message = locationError({ pincode, city: req.body.city, state: req.body.state });
+      if (message) throw new Error(message);
+      return true;
+    })
+], validateRequest, authenticateToken, requireRole('creator'), async (req, res) => {
   try {
-    const { gender, email, dob, state, city, pincode } = req.body;
+    const { gender, email, dob } = req.body;
+    const { state, city, pincode } = normalizeLocation(req.body);
     const userId = BigInt(req.userId);
 
     // Parse date of birth
     const dateOfBirth = new Date(dob);
 
-    // Update user email
-    await prisma.user.update({
+    const existingUser = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+    const emailChanged = existingUser.email !== email;
+
+    // Update user email; a new address stays unverified until the link is opened
+    const user = await prisma.user.update({
       where: { id: userId },
       data: { 
         email,
-        email_verified: true,
-        onboarding_step: 2
+        ...(emailChanged && { email_verified: false })
       }
     });
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email failed:', mailError);
+      }
+    }
+
     // Create or update creator profile
-    const creatorProfile = await prisma.creatorProfile.upsert({
+    let creatorProfile = await prisma.creatorProfile.upsert({
       where: { user_id: userId },
       update: {
         gender,
@@ -80,11 +109,14 @@ router.post('/update-basic-info', [
         location_pincode: pincode
       }
     });
+    creatorProfile = await ensureCreatorHandle(creatorProfile, user.name);
+
+    await completeOnboardingStep(userId, 'basic_info');
 
     res.json({
       success: true,
       message: 'Basic info updated successfully',
-      profile: creatorProfile
+      profile: serializeCreatorProfile(creatorProfile, 'self')
     });
 
   } catch (error) {
@@ -98,40 +130,42 @@ router.post('/update-basic-info', [
 
 // Update creator preferences (from CreatorPreferencesScreen)
 router.post('/update-preferences', [
-  body('categories').isArray({ min: 1, max: 5 }).withMessage('1-5 categories required'),
+  body('categories').isArray({ min: 1, max: 5 }).withMessage('1-5 categories required').bail()
+    .customSanitizer(categories => [...new Set(categories.map(normalizeCategorySlug))])
+    .custom(assertCategorySlugs),
   body('about').notEmpty().withMessage('About is required'),
-  body('languages').isArray({ min: 1 }).withMessage('At least one language required')
-], validateRequest, authenticateToken, async (req, res) => {
+  // Codes or English names; stored as ISO 639 codes
+  body('languages').isArray({ min: 1 }).withMessage('At least one language required').bail()
+    .custom(assertLanguages)
+    .customSanitizer(languages => [...new Set(languages.map(normalizeLanguage))])
+], validateRequest, authenticateToken, requireRole('creator'), async (req, res) => {
   try {
     const { categories, about, languages } = req.body;
     const userId = BigInt(req.userId);
 
     // Create or update creator profile
-    const creatorProfile = await prisma.creatorProfile.upsert({
+    let creatorProfile = await prisma.creatorProfile.upsert({
       where: { user_id: userId },
       update: {
         content_categories: categories,
         bio: about,
-        interests: languages
+        languages
       },
       create: {
         user_id: userId,
         content_categories: categories,
         bio: about,
-        interests: languages
+        languages
       }
     });
+    creatorProfile = await ensureCreatorHandle(creatorProfile, req.user.name);
 
-    // Update user onboarding step
-    await prisma.user.update({
-      where: { id: userId },
-      data: { onboarding_step: 1 }
-    });
+    await completeOnboardingStep(userId, 'preferences');
 
     res.json({
       success: true,
       message: 'Preferences updated successfully',
-      profile: creatorProfile
+      profile: serializeCreatorProfile(creatorProfile, 'self')
     });
 
   } catch (error) {
@@ -143,9 +177,50 @@ router.post('/update-preferences', [
   }
 });
 
-// Create package (from CreatePackageScreen)
+// Change the creator's public handle (their /api/creators/:handle URL)
+router.put('/handle', [
+  body('handle').isString().customSanitizer(normalizeHandle).custom(handle => {
+    const message = handleError(handle);
+    if (message) throw new Error(message);
+    return true;
+  })
+], validateRequest, authenticateToken, requireRole('creator'), requireCreatorProfile, async (req, res) => {
+  try {
+    const { handle } = req.body;
+    const { creatorProfile } = req;
+
+    if (await isHandleTaken(handle, creatorProfile.id)) {
+      return res.status(409).json({ error: 'Handle is already taken' });
+    }
+
+    const updatedProfile = await prisma.creatorProfile.update({
+      where: { id: creatorProfile.id },
+      data: { handle }
+    });
+
+    res.json({
+      success: true,
+      message: 'Handle updated successfully',
+      handle: updatedProfile.handle
+    });
+
+  } catch (error) {
+    // Lost a race with another creator claiming the same handle
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Handle is already taken' });
+    }
+    console.error('Update handle error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update handle',
+      message: error.message 
+    });
+  }
+});
+
+// Create package (from CreatePackageScreen); /api/packages has the full package API
 router.post('/create-package', [
-  body('platform').notEmpty().withMessage('Platform is required'),
+  body('platform').customSanitizer(value => String(value || '').toLowerCase())
+    .isIn(Object.values(SocialPlatform)).withMessage('Valid platform is required'),
   body('contentType').notEmpty().withMessage('Content type is required'),
   body('quantity').isInt({ min: 1 }).withMessage('Valid quantity required'),
   body('revisions').isInt({ min: 0 }).withMessage('Valid revisions required'),
@@ -153,7 +228,7 @@ router.post('/create-package', [
   body('duration2').notEmpty().withMessage('Duration 2 is required'),
   body('price').isFloat({ min: 0 }).withMessage('Valid price required'),
   body('description').optional()
-], validateRequest, authenticateToken, async (req, res) => {
+], validateRequest, authenticateToken, requireRole('creator'), requireCreatorProfile, async (req, res) => {
   try {
     const { 
       platform, 
@@ -165,39 +240,25 @@ router.post('/create-package', [
       price, 
       description 
     } = req.body;
-    const userId = BigInt(req.userId);
-
-    // Get creator profile
-    const creatorProfile = await prisma.creatorProfile.findUnique({
-      where: { user_id: userId }
+    const { creatorProfile } = req;
+
+    const pkg = await createPackage(creatorProfile.id, {
+      title: `${platform.charAt(0).toUpperCase()}${platform.slice(1)} ${contentType}`,
+      description: description || null,
+      platform,
+      content_type: contentType,
+      quantity: parseInt(quantity),
+      revisions: parseInt(revisions),
+      duration: `${duration1} ${duration2}`,
+      price: price.toString()
     });
 
-    if (!creatorProfile) {
-      return res.status(400).json({ error: 'Creator profile not found' });
-    }
-
-    // Create package
-    const package = await prisma.package.create({
-      data: {
-        creator_id: creatorProfile.id,
-        package_type: 'content',
-        title: `${platform} ${contentType}`,
-        description: description || '',
-        platform: platform.toUpperCase(),
-        content_type: contentType,
-        quantity: parseInt(quantity),
-        revisions: parseInt(revisions),
-        duration: `${duration1} ${duration2}`,
-        price: parseFloat(price),
-        currency: 'INR',
-        status: 'active'
-      }
-    });
+    await completeOnboardingStep(req.user.id, 'package');
 
     res.json({
       success: true,
       message: 'Package created successfully',
-      package
+      package: serializeCreatorPackage(pkg, 'self')
     });
 
   } catch (error) {
@@ -209,48 +270,45 @@ router.post('/create-package', [
   }
 });
 
-// Create portfolio item (from CreatePortfolioScreen)
+// Create portfolio item (from CreatePortfolioScreen) from an uploaded portfolio media id
 router.post('/create-portfolio', [
-  body('mediaUrl').notEmpty().withMessage('Media URL is required'),
-  body('mediaType').isIn(['image', 'video', 'archive', 'document']).withMessage('Valid media type required'),
-  body('fileName').notEmpty().withMessage('File name is required'),
-  body('fileSize').isInt({ min: 1 }).withMessage('Valid file size required'),
-  body('mimeType').optional()
-], validateRequest, authenticateToken, async (req, res) => {
+  body('mediaId').isInt({ min: 1 }).withMessage('Valid media id is required'),
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be 1-200 characters'),
+  body('description').optional().isString().isLength({ max: 2000 }).withMessage('Description is too long'),
+  body('platform').optional().customSanitizer(value => String(value).toLowerCase())
+    .isIn(Object.values(SocialPlatform)).withMessage('Valid platform is required')
+], validateRequest, authenticateToken, requireRole('creator'), requireCreatorProfile, async (req, res) => {
   try {
-    const { mediaUrl, mediaType, fileName, fileSize, mimeType } = req.body;
-    const userId = BigInt(req.userId);
-
-    // Get creator profile
-    const creatorProfile = await prisma.creatorProfile.findUnique({
-      where: { user_id: userId }
-    });
+    const { mediaId, title, description, platform } = req.body;
+    const { creatorProfile } = req;
 
-    if (!creatorProfile) {
-      return res.status(400).json({ error: 'Creator profile not found' });
-    }
+    const media = await findOwnedMedia(req.user.id, mediaId, 'portfolio');
 
     // Create portfolio item
     const portfolioItem = await prisma.portfolioItem.create({
       data: {
         creator_id: creatorProfile.id,
-        media_type: mediaType.toUpperCase(),
-        media_url: mediaUrl,
-        title: fileName,
-        description: `Uploaded file: ${fileName}`,
-        file_size: BigInt(fileSize),
-        mime_type: mimeType || '',
-        status: 'active'
+        media_id: media.id,
+        media_type: media.mime_type.startsWith('video/') ? 'video' : 'image',
+        media_url: mediaUrl(media),
+        title: title || media.original_name || 'Untitled',
+        description: description || null,
+        platform: platform || null
       }
     });
 
+    await completeOnboardingStep(req.user.id, 'portfolio');
+
     res.json({
       success: true,
       message: 'Portfolio item created successfully',
-      portfolioItem
+      portfolioItem: serializePortfolioItem(portfolioItem, 'self')
     });
 
   } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create portfolio error:', error);
     res.status(500).json({ 
       error: 'Failed to create portfolio item',
@@ -259,55 +317,108 @@ router.post('/create-portfolio', [
   }
 });
 
-// Submit KYC (from KycModal)
+// Submit KYC (from KycModal); images are media ids uploaded with purpose `kyc`.
+// PAN has no back image; Aadhaar and passport need one.
 router.post('/submit-kyc', [
-  body('documentType').isIn(['aadhaar', 'pan']).withMessage('Valid document type required'),
-  body('frontImageUrl').notEmpty().withMessage('Front image URL is required'),
-  body('backImageUrl').notEmpty().withMessage('Back image URL is required')
-], validateRequest, authenticateToken, async (req, res) => {
+  body('documentType').customSanitizer(value => String(value || '').toLowerCase())
+    .isIn(Object.keys(KYC_DOCUMENTS)).withMessage('Valid document type required'),
+  body('documentNumber').customSanitizer(normalizeDocumentNumber).custom((number, { req }) => {
+    const message = documentNumberError(req.body.documentType, number);
+    if (message) throw new Error(message);
+    return true;
+  }),
+  body('holderName').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name on the document must be 2-100 characters'),
+  body('frontMediaId').isInt({ min: 1 }).withMessage('Front image is required'),
+  body('backMediaId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid back image media id is required'),
+  body('selfieMediaId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid selfie media id is required')
+], validateRequest, authenticateToken, requireRole('creator'), requireCreatorProfile, async (req, res) => {
   try {
-    const { documentType, frontImageUrl, backImageUrl } = req.body;
-    const userId = BigInt(req.userId);
+    const { documentType, documentNumber, holderName, frontMediaId, backMediaId, selfieMediaId } = req.body;
+    const { creatorProfile } = req;
+
+    const kyc = await submitKyc(creatorProfile.id, {
+      documentType,
+      documentNumber,
+      holderName,
+      frontMedia: await findOwnedMedia(req.user.id, frontMediaId, 'kyc'),
+      backMedia: backMediaId ? await findOwnedMedia(req.user.id, backMediaId, 'kyc') : null,
+      selfieMedia: selfieMediaId ? await findOwnedMedia(req.user.id, selfieMediaId, 'kyc') : null
+    });
+
+    await completeOnboardingStep(req.user.id, 'kyc');
 
-    // Get creator profile
-    const creatorProfile = await prisma.creatorProfile.findUnique({
-      where: { user_id: userId }
+    res.json({
+      success: true,
+      message: 'KYC submitted successfully',
+      kyc: serializeKyc(kyc, 'self')
     });
 
-    if (!creatorProfile) {
-      return res.status(400).json({ error: 'Creator profile not found' });
+  } catch (error) {
+    if (error instanceof MediaError || error instanceof KycError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Submit KYC error:', error);
+    res.status(500).json({ 
+      error: 'Failed to submit KYC',
+      message: error.message 
+    });
+  }
+});
 
-    // Create or update KYC
-    const kyc = await prisma.kYC.upsert({
-      where: { creator_id: creatorProfile.id },
-      update: {
-        document_type: documentType.toUpperCase(),
-        document_front_url: frontImageUrl,
-        document_back_url: backImageUrl,
-        status: 'pending',
-        submitted_at: new Date()
-      },
-      create: {
-        creator_id: creatorProfile.id,
-        document_type: documentType.toUpperCase(),
-        document_front_url: frontImageUrl,
-        document_back_url: backImageUrl,
-        status: 'pending',
-        submitted_at: new Date()
-      }
+// Get the creator's KYC status with short-lived links to the submitted documents
+router.get('/kyc', authenticateToken, requireRole('creator'), requireCreatorProfile, async (req, res) => {
+  try {
+    const kyc = await prisma.kYC.findUnique({
+      where: { creator_id: req.creatorProfile.id }
     });
 
+    if (!kyc) {
+      return res.status(404).json({ error: 'KYC not submitted' });
+    }
+
     res.json({
       success: true,
-      message: 'KYC submitted successfully',
-      kyc
+      kyc: serializeKyc(kyc, 'self'),
+      documents: await kycDocumentLinks(kyc, req.user.id, {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      })
     });
 
   } catch (error) {
-    console.error('Submit KYC error:', error);
+    console.error('Get KYC error:', error);
     res.status(500).json({ 
-      error: 'Failed to submit KYC',
+      error: 'Failed to get KYC',
+      message: error.message 
+    });
+  }
+});
+
+// Set the profile picture from an uploaded avatar media id
+router.post('/update-avatar', [
+  body('mediaId').isInt({ min: 1 }).withMessage('Valid media id is required')
+], validateRequest, authenticateToken, async (req, res) => {
+  try {
+    const media = await findOwnedMedia(req.user.id, req.body.mediaId, 'avatar');
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { profile_image_url: mediaUrl(media) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Profile picture updated successfully',
+      user: serializeUser(user, 'self')
+    });
+
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update avatar error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update profile picture',
       message: error.message 
     });
   }
@@ -321,7 +432,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
     const user = await prisma.user.findUnique({
       where: { id: userId },
       include: {
-        creator_profile: {
+        creator_profiles: {
           include: {
             kyc: true,
             portfolio_items: true,
@@ -337,7 +448,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      user
+      user: serializeUser(user, 'self')
     });
 
   } catch (error) {
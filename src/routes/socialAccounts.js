@@ -0,0 +1,209 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { PrismaClient, SocialPlatform } = require('../generated/client');
+const {
+  authenticateToken,
+  requireActiveUser,
+  requireRole,
+  requireOwnership,
+  requireCreatorProfile
+} = require('../middleware/auth');
+const {
+  SocialAccountError,
+  listSocialAccounts,
+  addSocialAccount,
+  updateSocialAccountHandle,
+  recordSocialStats,
+  listSocialStats,
+  startSocialVerification,
+  checkSocialVerification,
+  removeSocialAccount
+} = require('../services/socialAccountService');
+const { serializeSocialMediaAccount, serializeSocialAccountStat } = require('../serializers');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Respond to social account errors with their status, anything else as a 500
+const handleSocialAccountError = (res, error, logLabel, failureMessage) => {
+  if (error instanceof SocialAccountError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${logLabel}:`, error);
+  res.status(500).json({
+    error: failureMessage,
+    message: error.message
+  });
+};
+
+// Stats fields accepted when adding an account or entering new numbers
+const statsRules = [
+  body('followerCount').optional().isInt({ min: 0 }).withMessage('Follower count must be a whole number'),
+  body('engagementRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Engagement rate must be a percentage'),
+  body('avgViews').optional().isInt({ min: 0 }).withMessage('Average views must be a whole number')
+];
+
+// Load the account into req.socialAccount and allow only its creator (or an admin)
+const requireSocialAccountOwner = [
+  param('id').isInt({ min: 1 }).withMessage('Valid social account id is required'),
+  validateRequest,
+  authenticateToken,
+  requireActiveUser,
+  requireOwnership(async (req) => {
+    req.socialAccount = await prisma.socialMediaAccount.findUnique({
+      where: { id: BigInt(req.params.id) },
+      include: { creator: { select: { user_id: true } } }
+    });
+    return req.socialAccount?.creator.user_id;
+  }, { notFoundMessage: 'Social account not found' })
+];
+
+// List the creator's social accounts
+router.get('/', authenticateToken, requireActiveUser, requireRole('creator'), requireCreatorProfile, async (req, res) => {
+  try {
+    const accounts = await listSocialAccounts(req.creatorProfile.id);
+
+    res.json({
+      success: true,
+      accounts: accounts.map(account => serializeSocialMediaAccount(account, 'self'))
+    });
+
+  } catch (error) {
+    handleSocialAccountError(res, error, 'List social accounts error', 'Failed to list social accounts');
+  }
+});
+
+// Add an account; `handle` may be a username, @username or profile URL
+router.post('/', [
+  body('platform').customSanitizer(value => String(value || '').toLowerCase())
+    .isIn(Object.values(SocialPlatform)).withMessage('Valid platform is required'),
+  body('handle').isString().notEmpty().withMessage('Username or profile URL is required'),
+  ...statsRules
+], validateRequest, authenticateToken, requireActiveUser, requireRole('creator'), requireCreatorProfile, async (req, res) => {
+  try {
+    const account = await addSocialAccount(req.creatorProfile.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Social account added successfully',
+      account: serializeSocialMediaAccount(account, 'self')
+    });
+
+  } catch (error) {
+    handleSocialAccountError(res, error, 'Add social account error', 'Failed to add social account');
+  }
+});
+
+// Change the username of an account
+router.put('/:id', requireSocialAccountOwner, [
+  body('handle').isString().notEmpty().withMessage('Username or profile URL is required')
+], validateRequest, async (req, res) => {
+  try {
+    const account = await updateSocialAccountHandle(req.socialAccount, req.body.handle);
+
+    res.json({
+      success: true,
+      message: 'Social account updated successfully',
+      account: serializeSocialMediaAccount(account, 'self')
+    });
+
+  } catch (error) {
+    handleSocialAccountError(res, error, 'Update social account error', 'Failed to update social account');
+  }
+});
+
+// Enter current stats; the previous values stay in the history
+router.post('/:id/stats', requireSocialAccountOwner, statsRules, validateRequest, async (req, res) => {
+  try {
+    const account = await recordSocialStats(req.socialAccount, req.body);
+
+    res.json({
+      success: true,
+      message: 'Stats updated successfully',
+      account: serializeSocialMediaAccount(account, 'self')
+    });
+
+  } catch (error) {
+    handleSocialAccountError(res, error, 'Record social stats error', 'Failed to update stats');
+  }
+});
+
+// Stats history, newest first
+router.get('/:id/stats', requireSocialAccountOwner, [
+  query('limit').optional().isInt({ min: 1, max: 365 }).toInt()
+], validateRequest, async (req, res) => {
+  try {
+    const stats = await listSocialStats(req.socialAccount.id, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      stats: stats.map(serializeSocialAccountStat)
+    });
+
+  } catch (error) {
+    handleSocialAccountError(res, error, 'List social stats error', 'Failed to list stats');
+  }
+});
+
+// Start ownership verification: returns a code to place in the bio or channel description
+router.post('/:id/verification', requireSocialAccountOwner, async (req, res) => {
+  try {
+    const account = await startSocialVerification(req.socialAccount);
+    const where = account.platform === 'youtube' ? 'channel description' : 'bio';
+
+    res.json({
+      success: true,
+      code: account.verification_code,
+      expiresAt: account.verification_code_expires_at,
+      instructions: `Add ${account.verification_code} to your ${account.platform} ${where}, save it, then check verification. You can remove it once the account is verified.`
+    });
+
+  } catch (error) {
+    handleSocialAccountError(res, error, 'Start social verification error', 'Failed to start verification');
+  }
+});
+
+// Check the profile for the code and mark the account verified
+router.post('/:id/verification/check', requireSocialAccountOwner, async (req, res) => {
+  try {
+    const account = await checkSocialVerification(req.socialAccount);
+
+    res.json({
+      success: true,
+      message: 'Social account verified',
+      account: serializeSocialMediaAccount(account, 'self')
+    });
+
+  } catch (error) {
+    handleSocialAccountError(res, error, 'Check social verification error', 'Failed to verify social account');
+  }
+});
+
+// Remove an account and its history
+router.delete('/:id', requireSocialAccountOwner, async (req, res) => {
+  try {
+    await removeSocialAccount(req.socialAccount);
+
+    res.json({
+      success: true,
+      message: 'Social account removed'
+    });
+
+  } catch (error) {
+    handleSocialAccountError(res, error, 'Remove social account error', 'Failed to remove social account');
+  }
+});
+
+module.exports = router;
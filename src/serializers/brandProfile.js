@@ -0,0 +1,40 @@
+const { assertView, toId } = require('./helpers');
+
+// API values for company size mapped to the CompanySize enum
+const COMPANY_SIZES = {
+  '1-10': 'ONE_TO_TEN',
+  '11-50': 'ELEVEN_TO_FIFTY',
+  '51-200': 'FIFTY_ONE_TO_TWO_HUNDRED',
+  '201-1000': 'TWO_HUNDRED_ONE_TO_THOUSAND',
+  '1000+': 'THOUSAND_PLUS'
+};
+
+const serializeBrandProfile = (profile, view = 'public') => {
+  if (!profile) return null;
+  assertView(view);
+
+  const data = {
+    id: toId(profile.id),
+    companyName: profile.company_name,
+    industry: profile.industry,
+    website: profile.website_url,
+    description: profile.description,
+    logoUrl: profile.logo_url,
+    companySize: Object.keys(COMPANY_SIZES).find(size => COMPANY_SIZES[size] === profile.company_size) || null,
+    locationCountry: profile.location_country,
+    locationState: profile.location_state,
+    locationCity: profile.location_city,
+    verified: profile.verified
+  };
+
+  if (view !== 'public') {
+    data.userId = toId(profile.user_id);
+    data.locationPincode = profile.location_pincode;
+    data.createdAt = profile.created_at;
+    data.updatedAt = profile.updated_at;
+  }
+
+  return data;
+};
+
+module.exports = { COMPANY_SIZES, serializeBrandProfile };
@@ -0,0 +1,29 @@
+const { assertView } = require('./helpers');
+
+// A category and, when it has been nested by buildCategoryTree, its children
+const serializeCategory = (category, view = 'public') => {
+  if (!category) return null;
+  assertView(view);
+
+  const data = {
+    id: category.id,
+    name: category.name,
+    slug: category.slug,
+    description: category.description
+  };
+
+  if (view === 'admin') {
+    data.parentId = category.parent_id;
+    data.isActive = category.is_active;
+    data.sortOrder = category.sort_order;
+    data.createdAt = category.created_at;
+  }
+
+  if (category.children) {
+    data.children = category.children.map(child => serializeCategory(child, view));
+  }
+
+  return data;
+};
+
+module.exports = { serializeCategory };
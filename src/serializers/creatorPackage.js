@@ -0,0 +1,31 @@
+const { assertView, toId, toNumber } = require('./helpers');
+
+const serializeCreatorPackage = (pkg, view = 'public') => {
+  if (!pkg) return null;
+  assertView(view);
+
+  const data = {
+    id: toId(pkg.id),
+    title: pkg.title,
+    description: pkg.description,
+    platform: pkg.platform,
+    contentType: pkg.content_type,
+    quantity: pkg.quantity,
+    revisions: pkg.revisions,
+    duration: pkg.duration,
+    price: toNumber(pkg.price),
+    currency: pkg.currency,
+    position: pkg.position
+  };
+
+  if (view !== 'public') {
+    data.creatorId = toId(pkg.creator_id);
+    data.status = pkg.status;
+    data.createdAt = pkg.created_at;
+    data.updatedAt = pkg.updated_at;
+  }
+
+  return data;
+};
+
+module.exports = { serializeCreatorPackage };
@@ -0,0 +1,63 @@
+const { assertView, toId, toNumber } = require('./helpers');
+const { serializePortfolioItem } = require('./portfolioItem');
+const { serializeSocialMediaAccount } = require('./socialMediaAccount');
+const { serializeKyc } = require('./kyc');
+const { serializeCreatorPackage } = require('./creatorPackage');
+
+// Related rows are included only when they were loaded with the profile
+const serializeCreatorProfile = (profile, view = 'public') => {
+  if (!profile) return null;
+  assertView(view);
+
+  const data = {
+    id: toId(profile.id),
+    handle: profile.handle,
+    bio: profile.bio,
+    locationCountry: profile.location_country,
+    locationState: profile.location_state,
+    locationCity: profile.location_city,
+    contentCategories: profile.content_categories || [],
+    minRate: toNumber(profile.min_rate),
+    maxRate: toNumber(profile.max_rate),
+    rateCurrency: profile.rate_currency,
+    availabilityStatus: profile.availability_status,
+    availability: profile.availability,
+    collaborationTypes: profile.collaboration_types || [],
+    interests: profile.interests || [],
+    languages: profile.languages || [],
+    socialPlatforms: profile.social_platforms || [],
+    followerCount: toNumber(profile.follower_count),
+    verified: profile.verified,
+    featured: profile.featured,
+    rating: toNumber(profile.rating),
+    totalCollaborations: profile.total_collaborations,
+    averageResponseTime: profile.average_response_time,
+    createdAt: profile.created_at
+  };
+
+  if (view !== 'public') {
+    data.userId = toId(profile.user_id);
+    data.email = profile.email;
+    data.locationPincode = profile.location_pincode;
+    data.dateOfBirth = profile.date_of_birth;
+    data.gender = profile.gender;
+    data.updatedAt = profile.updated_at;
+  }
+
+  if (profile.portfolio_items) {
+    data.portfolioItems = profile.portfolio_items.map(item => serializePortfolioItem(item, view));
+  }
+  if (profile.social_media_accounts) {
+    data.socialMediaAccounts = profile.social_media_accounts.map(account => serializeSocialMediaAccount(account, view));
+  }
+  if (profile.packages) {
+    data.packages = profile.packages.map(pkg => serializeCreatorPackage(pkg, view));
+  }
+  if (profile.kyc !== undefined && view !== 'public') {
+    data.kyc = serializeKyc(profile.kyc, view);
+  }
+
+  return data;
+};
+
+module.exports = { serializeCreatorProfile };
@@ -0,0 +1,35 @@
+// Views a serializer can produce: `public` for anyone, `self` for the owner, `admin` for staff
+const VIEWS = ['public', 'self', 'admin'];
+
+const assertView = (view) => {
+  if (!VIEWS.includes(view)) {
+    throw new Error(`Unknown serializer view: ${view}`);
+  }
+};
+
+// BigInt ids are sent as strings so they survive JSON.parse on the client
+const toId = (value) => (value === null || value === undefined ? null : value.toString());
+
+// BigInt counters and Prisma Decimals are sent as plain numbers
+const toNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'bigint') return Number(value);
+  if (typeof value.toNumber === 'function') return value.toNumber();
+  return Number(value);
+};
+
+// Keep only the last `visible` characters, e.g. "XXXXXXXX1234"
+const maskNumber = (value, visible = 4) => {
+  if (!value) return null;
+  const clean = String(value).replace(/\s+/g, '');
+  if (clean.length <= visible) return 'X'.repeat(clean.length);
+  return 'X'.repeat(clean.length - visible) + clean.slice(-visible);
+};
+
+module.exports = {
+  VIEWS,
+  assertView,
+  toId,
+  toNumber,
+  maskNumber
+};
@@ -0,0 +1,30 @@
+// Response serializers. Routes send these instead of raw Prisma rows so that
+// BigInt/Decimal values are JSON-safe and secrets never leave the server.
+const { VIEWS, maskNumber } = require('./helpers');
+const { serializeUser } = require('./user');
+const { serializeCreatorProfile } = require('./creatorProfile');
+const { COMPANY_SIZES, serializeBrandProfile } = require('./brandProfile');
+const { serializeKyc } = require('./kyc');
+const { serializePortfolioItem } = require('./portfolioItem');
+const { serializeCreatorPackage } = require('./creatorPackage');
+const { serializeMedia } = require('./media');
+const { serializePayoutMethod } = require('./payoutMethod');
+const { serializeSocialMediaAccount, serializeSocialAccountStat } = require('./socialMediaAccount');
+const { serializeCategory } = require('./category');
+
+module.exports = {
+  VIEWS,
+  COMPANY_SIZES,
+  maskNumber,
+  serializeUser,
+  serializeCreatorProfile,
+  serializeBrandProfile,
+  serializeKyc,
+  serializePortfolioItem,
+  serializeCreatorPackage,
+  serializeMedia,
+  serializePayoutMethod,
+  serializeSocialMediaAccount,
+  serializeSocialAccountStat,
+  serializeCategory
+};
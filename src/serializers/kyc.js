@@ -0,0 +1,37 @@
+const { assertView, toId, maskNumber } = require('./helpers');
+
+// KYC is never public. Document and bank numbers are masked in every view;
+// the document number itself is only stored encrypted.
+const serializeKyc = (kyc, view = 'self') => {
+  if (!kyc) return null;
+  assertView(view);
+  if (view === 'public') return null;
+
+  const data = {
+    id: toId(kyc.id),
+    documentType: kyc.document_type,
+    documentNumber: kyc.document_masked,
+    holderName: kyc.holder_name,
+    frontMediaId: toId(kyc.front_media_id),
+    backMediaId: toId(kyc.back_media_id),
+    selfieMediaId: toId(kyc.selfie_media_id),
+    bankAccountNumber: maskNumber(kyc.bank_account_number),
+    bankIfscCode: kyc.bank_ifsc_code,
+    bankAccountHolder: kyc.bank_account_holder,
+    bankName: kyc.bank_name,
+    status: kyc.status,
+    submittedAt: kyc.submitted_at,
+    verifiedAt: kyc.verified_at,
+    rejectedAt: kyc.rejected_at,
+    rejectionReason: kyc.rejection_reason
+  };
+
+  if (view === 'admin') {
+    data.creatorId = toId(kyc.creator_id);
+    data.verifiedBy = toId(kyc.verified_by);
+  }
+
+  return data;
+};
+
+module.exports = { serializeKyc };
@@ -0,0 +1,28 @@
+const { assertView, toId } = require('./helpers');
+const { isPrivateMedia, mediaUrl } = require('../services/mediaService');
+
+const serializeMedia = (media, view = 'self') => {
+  if (!media) return null;
+  assertView(view);
+
+  const data = {
+    id: toId(media.id),
+    purpose: media.purpose,
+    mimeType: media.mime_type,
+    sizeBytes: media.size_bytes,
+    // Private media (KYC, attachments) has no permanent URL
+    url: isPrivateMedia(media) ? null : mediaUrl(media),
+    createdAt: media.created_at
+  };
+
+  if (view !== 'public') {
+    data.originalName = media.original_name;
+  }
+  if (view === 'admin') {
+    data.ownerId = toId(media.owner_id);
+  }
+
+  return data;
+};
+
+module.exports = { serializeMedia };
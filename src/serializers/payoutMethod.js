@@ -0,0 +1,34 @@
+const { assertView, toId, maskNumber } = require('./helpers');
+
+// Payout details are never public; account numbers are masked in every view
+const serializePayoutMethod = (method, view = 'self') => {
+  if (!method) return null;
+  assertView(view);
+  if (view === 'public') return null;
+
+  const data = {
+    id: toId(method.id),
+    type: method.type,
+    status: method.status,
+    accountHolderName: method.account_holder_name,
+    accountNumber: maskNumber(method.account_number),
+    ifscCode: method.ifsc_code,
+    bankName: method.bank_name,
+    branchName: method.branch_name,
+    upiId: method.upi_id,
+    nameMatched: method.name_matched,
+    isPrimary: method.is_primary,
+    usableFrom: method.usable_from,
+    verifiedAt: method.verified_at,
+    createdAt: method.created_at
+  };
+
+  if (view === 'admin') {
+    data.creatorId = toId(method.creator_id);
+    data.removedAt = method.removed_at;
+  }
+
+  return data;
+};
+
+module.exports = { serializePayoutMethod };
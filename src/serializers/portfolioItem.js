@@ -0,0 +1,28 @@
+const { assertView, toId } = require('./helpers');
+
+const serializePortfolioItem = (item, view = 'public') => {
+  if (!item) return null;
+  assertView(view);
+
+  const data = {
+    id: toId(item.id),
+    title: item.title,
+    description: item.description,
+    mediaId: toId(item.media_id),
+    mediaUrl: item.media_url,
+    mediaType: item.media_type,
+    platform: item.platform,
+    tags: item.tags || [],
+    isFeatured: item.is_featured,
+    createdAt: item.created_at
+  };
+
+  if (view !== 'public') {
+    data.creatorId = toId(item.creator_id);
+    data.updatedAt = item.updated_at;
+  }
+
+  return data;
+};
+
+module.exports = { serializePortfolioItem };
@@ -0,0 +1,37 @@
+const { assertView, toId, toNumber } = require('./helpers');
+
+const serializeSocialMediaAccount = (account, view = 'public') => {
+  if (!account) return null;
+  assertView(view);
+
+  const data = {
+    id: toId(account.id),
+    platform: account.platform,
+    username: account.username,
+    url: account.url,
+    followerCount: toNumber(account.follower_count),
+    engagementRate: toNumber(account.engagement_rate),
+    avgViews: toNumber(account.avg_views),
+    verified: account.verified,
+    verifiedAt: account.verified_at,
+    lastUpdated: account.last_updated
+  };
+
+  if (view !== 'public') {
+    data.creatorId = toId(account.creator_id);
+    data.verificationMethod = account.verification_method;
+    data.createdAt = account.created_at;
+  }
+
+  return data;
+};
+
+// One entry of an account's stats history
+const serializeSocialAccountStat = (stat) => ({
+  followerCount: toNumber(stat.follower_count),
+  engagementRate: toNumber(stat.engagement_rate),
+  avgViews: toNumber(stat.avg_views),
+  recordedAt: stat.recorded_at
+});
+
+module.exports = { serializeSocialMediaAccount, serializeSocialAccountStat };
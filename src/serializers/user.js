@@ -0,0 +1,58 @@
+const { assertView, toId } = require('./helpers');
+const { serializeCreatorProfile } = require('./creatorProfile');
+const { serializeBrandProfile } = require('./brandProfile');
+
+// Secrets (password_hash, totp_secret, ...) are never copied, whatever the view
+const serializeUser = (user, view = 'public') => {
+  if (!user) return null;
+  assertView(view);
+
+  const data = {
+    id: toId(user.id),
+    name: user.name,
+    profileImage: user.profile_image_url,
+    userType: user.user_type
+  };
+
+  if (view !== 'public') {
+    Object.assign(data, {
+      email: user.email,
+      phone: user.phone,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      isVerified: user.email_verified || user.phone_verified,
+      emailVerified: user.email_verified,
+      phoneVerified: user.phone_verified,
+      status: user.status,
+      timezone: user.timezone,
+      language: user.language,
+      authProvider: user.auth_provider,
+      onboardingCompleted: user.onboarding_completed,
+      twoFactorEnabled: user.totp_enabled,
+      deletionScheduledFor: user.deletion_scheduled_for,
+      createdAt: user.created_at,
+      lastLoginAt: user.last_login_at
+    });
+  }
+
+  if (view === 'admin') {
+    Object.assign(data, {
+      onboardingStep: user.onboarding_step,
+      mergedIntoId: toId(user.merged_into_id),
+      deletionRequestedAt: user.deletion_requested_at,
+      deletedAt: user.deleted_at,
+      updatedAt: user.updated_at
+    });
+  }
+
+  if (user.creator_profiles !== undefined) {
+    data.creatorProfile = serializeCreatorProfile(user.creator_profiles, view);
+  }
+  if (user.brand_profiles) {
+    data.brandProfiles = user.brand_profiles.map(profile => serializeBrandProfile(profile, view));
+  }
+
+  return data;
+};
+
+module.exports = { serializeUser };
@@ -11,10 +11,23 @@ try {
 }
 
 const { PrismaClient } = require('./generated/client');
+const { getOtpProvider } = require('./services/otp');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const profileRoutes = require('./routes/profile');
+const brandRoutes = require('./routes/brand');
+const accountRoutes = require('./routes/account');
+const onboardingRoutes = require('./routes/onboarding');
+const creatorRoutes = require('./routes/creators');
+const packageRoutes = require('./routes/packages');
+const mediaRoutes = require('./routes/media');
+const adminRoutes = require('./routes/admin');
+const payoutRoutes = require('./routes/payouts');
+const socialAccountRoutes = require('./routes/socialAccounts');
+const categoryRoutes = require('./routes/categories');
+const locationRoutes = require('./routes/locations');
+const languageRoutes = require('./routes/languages');
 
 const app = express();
 const prisma = new PrismaClient();
@@ -62,6 +75,18 @@ app.get('/api/health', (req, res) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/profile', profileRoutes);
+app.use('/api/brand', brandRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/onboarding', onboardingRoutes);
+app.use('/api/creators', creatorRoutes);
+app.use('/api/packages', packageRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/social-accounts', socialAccountRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/languages', languageRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -82,6 +107,9 @@ async function startServer() {
   try {
     await prisma.$connect();
     console.log('✅ Database connected successfully');
+
+    // Fail now rather than on the first sign-in if OTP delivery is misconfigured
+    console.log(`📨 OTP provider: ${getOtpProvider().name}`);
     
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Server running on port ${PORT}`);
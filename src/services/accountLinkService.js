@@ -0,0 +1,371 @@
+const { PrismaClient } = require('../generated/client');
+const { syncCreatorSocialSummary } = require('./socialAccountService');
+
+const prisma = new PrismaClient();
+
+// Error raised for linking/merge conflicts; `status` is the HTTP status to respond with
+class AccountLinkError extends Error {
+  constructor(message, status = 409, details = {}) {
+    super(message);
+    this.name = 'AccountLinkError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Find the user behind an external identity (e.g. a Google `sub`), creating the
+// user and/or identity row as needed. An existing account is only matched by email
+// when the provider is trusted for email (`trustEmail`) and says the email is verified;
+// otherwise the identity has to be linked from a signed-in session. `userType` only
+// applies to new users.
+const resolveIdentityUser = async ({
+  provider,
+  providerUserId,
+  email,
+  emailVerified,
+  trustEmail = false,
+  name,
+  picture,
+  userType = 'creator'
+}) => {
+  const identity = await prisma.userIdentity.findUnique({
+    where: { provider_provider_user_id: { provider, provider_user_id: providerUserId } },
+    include: { user: true }
+  });
+
+  if (identity) {
+    await prisma.userIdentity.update({
+      where: { id: identity.id },
+      data: { last_used_at: new Date(), email }
+    });
+
+    return prisma.user.update({
+      where: { id: identity.user_id },
+      data: {
+        last_login_at: new Date(),
+        ...(picture && { profile_image_url: picture })
+      }
+    });
+  }
+
+  const emailTrusted = Boolean(email && emailVerified && trustEmail);
+  const existingUser = emailTrusted
+    ? await prisma.user.findUnique({ where: { email } })
+    : null;
+
+  if (existingUser) {
+    await prisma.userIdentity.create({
+      data: {
+        user_id: existingUser.id,
+        provider,
+        provider_user_id: providerUserId,
+        email,
+        last_used_at: new Date()
+      }
+    });
+
+    return prisma.user.update({
+      where: { id: existingUser.id },
+      data: {
+        last_login_at: new Date(),
+        email_verified: true,
+        ...(picture && { profile_image_url: picture })
+      }
+    });
+  }
+
+  // An untrusted provider's email stays on the identity row only
+  if (email && !emailTrusted && await prisma.user.findUnique({ where: { email } })) {
+    throw new AccountLinkError(
+      'An account with this email already exists. Sign in to it and link this provider from your account.',
+      409,
+      { linkRequired: true }
+    );
+  }
+
+  return prisma.user.create({
+    data: {
+      email: emailTrusted ? email : null,
+      name: name || 'User',
+      profile_image_url: picture,
+      auth_provider: provider,
+      email_verified: emailTrusted,
+      user_type: userType,
+      status: 'active',
+      last_login_at: new Date(),
+      identities: {
+        create: {
+          provider,
+          provider_user_id: providerUserId,
+          email,
+          last_used_at: new Date()
+        }
+      }
+    }
+  });
+};
+
+// Attach an external identity to an already authenticated user
+const linkIdentity = async (userId, { provider, providerUserId, email, emailVerified, trustEmail = false }) => {
+  userId = BigInt(userId);
+
+  const identity = await prisma.userIdentity.findUnique({
+    where: { provider_provider_user_id: { provider, provider_user_id: providerUserId } }
+  });
+
+  if (identity) {
+    if (identity.user_id === userId) {
+      return identity;
+    }
+    throw new AccountLinkError(`This ${provider} account is linked to another user`, 409, {
+      canMerge: true
+    });
+  }
+
+  const existingProviderIdentity = await prisma.userIdentity.findFirst({
+    where: { user_id: userId, provider }
+  });
+
+  if (existingProviderIdentity) {
+    throw new AccountLinkError(`A ${provider} account is already linked, unlink it first`);
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+
+  // Adopt the provider's email if the user has none and nobody else uses it
+  let adoptEmail = false;
+  if (!user.email && email && emailVerified && trustEmail) {
+    const emailOwner = await prisma.user.findUnique({ where: { email } });
+    adoptEmail = !emailOwner;
+  }
+
+  const [created] = await prisma.$transaction([
+    prisma.userIdentity.create({
+      data: {
+        user_id: userId,
+        provider,
+        provider_user_id: providerUserId,
+        email
+      }
+    }),
+    ...(adoptEmail
+      ? [prisma.user.update({ where: { id: userId }, data: { email, email_verified: true } })]
+      : [])
+  ]);
+
+  return created;
+};
+
+// Attach a phone number (already proven by OTP) to an authenticated user
+const linkPhone = async (userId, phone) => {
+  userId = BigInt(userId);
+
+  const phoneOwner = await prisma.user.findUnique({ where: { phone } });
+
+  if (phoneOwner && phoneOwner.id !== userId) {
+    throw new AccountLinkError('This phone number is linked to another user', 409, {
+      canMerge: true
+    });
+  }
+
+  return prisma.user.update({
+    where: { id: userId },
+    data: { phone, phone_verified: true }
+  });
+};
+
+// Remove an identity, refusing if it is the user's last way to sign in
+const unlinkIdentity = async (userId, provider) => {
+  userId = BigInt(userId);
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { identities: true }
+  });
+
+  const identity = user.identities.find(i => i.provider === provider);
+  if (!identity) {
+    throw new AccountLinkError(`No ${provider} account is linked`, 404);
+  }
+
+  const otherSignInMethods = user.identities.length - 1
+    + (user.phone && user.phone_verified ? 1 : 0)
+    + (user.password_hash ? 1 : 0);
+
+  if (otherSignInMethods === 0) {
+    throw new AccountLinkError('Cannot unlink your only sign-in method', 400);
+  }
+
+  await prisma.userIdentity.delete({ where: { id: identity.id } });
+};
+
+// Move a creator profile's content from the duplicate to the survivor's profile
+const mergeCreatorProfiles = async (tx, survivorProfile, duplicateProfile) => {
+  await tx.portfolioItem.updateMany({
+    where: { creator_id: duplicateProfile.id },
+    data: { creator_id: survivorProfile.id }
+  });
+
+  await tx.creatorPackage.updateMany({
+    where: { creator_id: duplicateProfile.id },
+    data: { creator_id: survivorProfile.id }
+  });
+
+  // Social accounts are unique per platform; keep the survivor's where both exist
+  const survivorPlatforms = (await tx.socialMediaAccount.findMany({
+    where: { creator_id: survivorProfile.id },
+    select: { platform: true }
+  })).map(account => account.platform);
+
+  await tx.socialMediaAccount.updateMany({
+    where: { creator_id: duplicateProfile.id, platform: { notIn: survivorPlatforms } },
+    data: { creator_id: survivorProfile.id }
+  });
+  await syncCreatorSocialSummary(survivorProfile.id, tx);
+
+  // KYC is one per creator; keep the survivor's if it already has one
+  const survivorKyc = await tx.kYC.findUnique({ where: { creator_id: survivorProfile.id } });
+  if (!survivorKyc) {
+    await tx.kYC.updateMany({
+      where: { creator_id: duplicateProfile.id },
+      data: { creator_id: survivorProfile.id }
+    });
+  }
+
+  // Fill in profile fields the survivor has not set yet
+  const fillable = [
+    'bio', 'email', 'gender', 'date_of_birth', 'location_country', 'location_state',
+    'location_city', 'location_pincode', 'content_categories', 'interests', 'languages'
+  ];
+  const updates = {};
+  for (const field of fillable) {
+    if (survivorProfile[field] == null && duplicateProfile[field] != null) {
+      updates[field] = duplicateProfile[field];
+    }
+  }
+  if (duplicateProfile.verified) {
+    updates.verified = true;
+  }
+
+  if (Object.keys(updates).length) {
+    await tx.creatorProfile.update({ where: { id: survivorProfile.id }, data: updates });
+  }
+};
+
+// Merge a duplicate account into the surviving one. Profiles, portfolio items, KYC and
+// identities move to the survivor; the duplicate is suspended and points at the survivor.
+// Both accounts must have the same user type.
+const mergeUsers = async (survivorId, duplicateId) => {
+  survivorId = BigInt(survivorId);
+  duplicateId = BigInt(duplicateId);
+
+  if (survivorId === duplicateId) {
+    throw new AccountLinkError('Cannot merge an account into itself', 400);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const survivor = await tx.user.findUnique({
+      where: { id: survivorId },
+      include: { creator_profiles: true }
+    });
+    const duplicate = await tx.user.findUnique({
+      where: { id: duplicateId },
+      include: { creator_profiles: true }
+    });
+
+    if (!survivor || !duplicate || duplicate.merged_into_id) {
+      throw new AccountLinkError('Account not found', 404);
+    }
+
+    // The survivor keeps its role, so only accounts of the same type can be merged
+    if (survivor.user_type !== duplicate.user_type) {
+      throw new AccountLinkError('Cannot merge accounts of different types', 409, {
+        userType: survivor.user_type,
+        duplicateUserType: duplicate.user_type
+      });
+    }
+
+    if (duplicate.creator_profiles) {
+      if (survivor.creator_profiles) {
+        await mergeCreatorProfiles(tx, survivor.creator_profiles, duplicate.creator_profiles);
+      } else {
+        await tx.creatorProfile.update({
+          where: { id: duplicate.creator_profiles.id },
+          data: { user_id: survivorId }
+        });
+      }
+    }
+
+    await tx.brandProfile.updateMany({
+      where: { user_id: duplicateId },
+      data: { user_id: survivorId }
+    });
+
+    // Uploads follow the profiles and KYC that reference them
+    await tx.media.updateMany({
+      where: { owner_id: duplicateId },
+      data: { owner_id: survivorId }
+    });
+
+    // Identities of a provider the survivor already has stay with the duplicate
+    const survivorProviders = (await tx.userIdentity.findMany({
+      where: { user_id: survivorId },
+      select: { provider: true }
+    })).map(identity => identity.provider);
+
+    await tx.userIdentity.updateMany({
+      where: { user_id: duplicateId, provider: { notIn: survivorProviders } },
+      data: { user_id: survivorId }
+    });
+
+    await tx.userSession.updateMany({
+      where: { user_id: duplicateId, revoked_at: null },
+      data: { revoked_at: new Date(), revoked_reason: 'account_merged' }
+    });
+
+    // Release the duplicate's unique email/phone before handing them to the survivor
+    await tx.user.update({
+      where: { id: duplicateId },
+      data: {
+        email: null,
+        phone: null,
+        status: 'suspended',
+        merged_into_id: survivorId
+      }
+    });
+
+    return tx.user.update({
+      where: { id: survivorId },
+      data: {
+        ...(!survivor.email && duplicate.email && {
+          email: duplicate.email,
+          email_verified: duplicate.email_verified
+        }),
+        ...(!survivor.phone && duplicate.phone && {
+          phone: duplicate.phone,
+          phone_verified: duplicate.phone_verified
+        }),
+        ...(!survivor.password_hash && duplicate.password_hash && {
+          password_hash: duplicate.password_hash
+        })
+      }
+    });
+  });
+};
+
+const listIdentities = async (userId) => {
+  return prisma.userIdentity.findMany({
+    where: { user_id: BigInt(userId) },
+    orderBy: { created_at: 'asc' }
+  });
+};
+
+module.exports = {
+  AccountLinkError,
+  resolveIdentityUser,
+  linkIdentity,
+  linkPhone,
+  unlinkIdentity,
+  mergeUsers,
+  listIdentities
+};
@@ -0,0 +1,263 @@
+const { PrismaClient, Prisma } = require('../generated/client');
+const { removeMediaFile } = require('./mediaService');
+
+const prisma = new PrismaClient();
+
+const DELETION_COOLING_OFF_DAYS = parseInt(process.env.ACCOUNT_DELETION_COOLING_OFF_DAYS || '14', 10);
+
+// JSON.stringify replacer for Prisma results (BigInt ids are not serializable by default)
+const exportReplacer = (key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+// Drop secrets from a row before it leaves the server
+const omit = (row, fields) => {
+  if (!row) return row;
+  const copy = { ...row };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+};
+
+// Everything we hold about a user, for data access (DPDP/GDPR) requests
+const buildAccountExport = async (userId) => {
+  userId = BigInt(userId);
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: {
+      identities: true,
+      sessions: true,
+      creator_profiles: {
+        include: {
+          portfolio_items: true,
+          social_media_accounts: true,
+          packages: true,
+          payout_methods: true,
+          kyc: true
+        }
+      },
+      brand_profiles: true,
+      media: true,
+      sent_messages: true,
+      reviews_reviewer: true,
+      reviews_reviewed: true,
+      payments_payer: true,
+      payments_payee: true,
+      notifications: true
+    }
+  });
+
+  if (!user) return null;
+
+  const {
+    identities,
+    sessions,
+    creator_profiles: creatorProfile,
+    brand_profiles: brandProfiles,
+    media,
+    sent_messages: messages,
+    reviews_reviewer: reviewsGiven,
+    reviews_reviewed: reviewsReceived,
+    payments_payer: paymentsMade,
+    payments_payee: paymentsReceived,
+    notifications,
+    ...account
+  } = user;
+
+  const kyc = creatorProfile?.kyc;
+
+  return {
+    exported_at: new Date().toISOString(),
+    user: omit(account, ['password_hash', 'totp_secret', 'totp_last_step']),
+    identities,
+    sessions,
+    creator_profile: creatorProfile && {
+      ...omit(creatorProfile, ['kyc', 'payout_methods']),
+      // Full account numbers are not exported
+      payout_methods: creatorProfile.payout_methods.map(method => omit(method, ['account_number']))
+    },
+    // KYC metadata only; document images and full numbers are not exported
+    kyc: kyc && {
+      document_type: kyc.document_type,
+      status: kyc.status,
+      submitted_at: kyc.submitted_at,
+      verified_at: kyc.verified_at,
+      rejected_at: kyc.rejected_at,
+      rejection_reason: kyc.rejection_reason,
+      bank_name: kyc.bank_name,
+      bank_account_holder: kyc.bank_account_holder
+    },
+    brand_profiles: brandProfiles,
+    // Upload metadata only; the files themselves are not included
+    media: media.map(item => omit(item, ['storage_driver', 'storage_key'])),
+    messages,
+    reviews_given: reviewsGiven,
+    reviews_received: reviewsReceived,
+    payments_made: paymentsMade,
+    payments_received: paymentsReceived,
+    notifications
+  };
+};
+
+const serializeAccountExport = (data) => JSON.stringify(data, exportReplacer, 2);
+
+// Schedule deletion after the cooling-off period; the user can cancel until then
+const requestAccountDeletion = async (userId) => {
+  const scheduledFor = new Date(Date.now() + DELETION_COOLING_OFF_DAYS * 24 * 60 * 60 * 1000);
+
+  return prisma.user.update({
+    where: { id: BigInt(userId) },
+    data: {
+      deletion_requested_at: new Date(),
+      deletion_scheduled_for: scheduledFor
+    }
+  });
+};
+
+const cancelAccountDeletion = async (userId) => {
+  return prisma.user.update({
+    where: { id: BigInt(userId) },
+    data: {
+      deletion_requested_at: null,
+      deletion_scheduled_for: null
+    }
+  });
+};
+
+// Remove or anonymize a user's personal data. Payments and invoices are kept intact
+// for accounting; rows that reference the user stay linked to the anonymized record.
+const anonymizeAccount = async (userId) => {
+  userId = BigInt(userId);
+  let media = [];
+
+  await prisma.$transaction(async (tx) => {
+    const user = await tx.user.findUnique({
+      where: { id: userId },
+      include: { creator_profiles: true }
+    });
+
+    if (!user || user.deleted_at) return;
+
+    const creatorProfile = user.creator_profiles;
+
+    if (creatorProfile) {
+      await tx.portfolioItem.deleteMany({ where: { creator_id: creatorProfile.id } });
+      await tx.socialAccountStat.deleteMany({ where: { account: { creator_id: creatorProfile.id } } });
+      await tx.socialMediaAccount.deleteMany({ where: { creator_id: creatorProfile.id } });
+      await tx.kycAccessLog.deleteMany({ where: { kyc: { creator_id: creatorProfile.id } } });
+      await tx.kYC.deleteMany({ where: { creator_id: creatorProfile.id } });
+      await tx.creatorPackage.deleteMany({ where: { creator_id: creatorProfile.id } });
+      await tx.payoutMethod.deleteMany({ where: { creator_id: creatorProfile.id } });
+      await tx.creatorProfile.update({
+        where: { id: creatorProfile.id },
+        data: {
+          // Releases the public profile URL so the handle no longer resolves
+          handle: null,
+          email: null,
+          bio: null,
+          location_country: null,
+          location_city: null,
+          location_state: null,
+          location_pincode: null,
+          content_categories: Prisma.DbNull,
+          min_rate: null,
+          max_rate: null,
+          date_of_birth: null,
+          gender: null,
+          interests: Prisma.DbNull,
+          languages: Prisma.DbNull,
+          follower_count: 0,
+          social_platforms: [],
+          availability: null,
+          collaboration_types: Prisma.DbNull,
+          average_response_time: null,
+          featured: false,
+          availability_status: 'unavailable'
+        }
+      });
+    }
+
+    // Company name stays for invoices; the rest of the brand page goes
+    await tx.brandProfile.updateMany({
+      where: { user_id: userId },
+      data: { description: null, logo_url: null, website_url: null }
+    });
+
+    await tx.message.updateMany({
+      where: { sender_id: userId },
+      data: { message_text: '[message deleted]', file_url: null, file_name: null }
+    });
+
+    await tx.review.updateMany({
+      where: { reviewer_id: userId },
+      data: { review_text: null }
+    });
+
+    media = await tx.media.findMany({ where: { owner_id: userId } });
+    await tx.mediaAccessLog.deleteMany({ where: { media: { owner_id: userId } } });
+    await tx.media.deleteMany({ where: { owner_id: userId } });
+
+    await tx.notification.deleteMany({ where: { user_id: userId } });
+    await tx.phoneVerification.deleteMany({
+      where: { OR: [{ user_id: userId }, ...(user.phone ? [{ phone: user.phone }] : [])] }
+    });
+    await tx.emailToken.deleteMany({ where: { user_id: userId } });
+    await tx.twoFactorBackupCode.deleteMany({ where: { user_id: userId } });
+    await tx.userIdentity.deleteMany({ where: { user_id: userId } });
+    await tx.refreshToken.deleteMany({ where: { session: { user_id: userId } } });
+    await tx.userSession.deleteMany({ where: { user_id: userId } });
+
+    await tx.user.update({
+      where: { id: userId },
+      data: {
+        email: null,
+        phone: null,
+        password_hash: null,
+        name: 'Deleted User',
+        first_name: null,
+        last_name: null,
+        profile_image_url: null,
+        age: null,
+        email_verified: false,
+        phone_verified: false,
+        totp_secret: null,
+        totp_enabled: false,
+        totp_enabled_at: null,
+        totp_last_step: null,
+        status: 'suspended',
+        deleted_at: new Date(),
+        deletion_scheduled_for: null
+      }
+    });
+  });
+
+  // Files are removed once their rows are gone
+  for (const item of media) {
+    await removeMediaFile(item);
+  }
+};
+
+// Anonymize every account whose cooling-off period has ended; returns how many were processed
+const processDueAccountDeletions = async () => {
+  const dueUsers = await prisma.user.findMany({
+    where: {
+      deleted_at: null,
+      deletion_scheduled_for: { lte: new Date() }
+    },
+    select: { id: true }
+  });
+
+  for (const { id } of dueUsers) {
+    await anonymizeAccount(id);
+  }
+
+  return dueUsers.length;
+};
+
+module.exports = {
+  DELETION_COOLING_OFF_DAYS,
+  buildAccountExport,
+  serializeAccountExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  anonymizeAccount,
+  processDueAccountDeletions
+};
@@ -0,0 +1,235 @@
+const { PrismaClient } = require('../generated/client');
+
+const prisma = new PrismaClient();
+
+// Lowercase words joined by hyphens, e.g. "street-food"
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Error raised for invalid category operations; `status` is the HTTP status to respond with
+class CategoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CategoryError';
+    this.status = status;
+  }
+}
+
+// "Home & Decor" -> "home-decor"
+const slugifyCategory = (name) => {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+const normalizeCategorySlug = (slug) => String(slug || '').trim().toLowerCase();
+
+const listCategories = () => {
+  return prisma.category.findMany({
+    orderBy: [{ sort_order: 'asc' }, { name: 'asc' }]
+  });
+};
+
+// Nest a flat list under `children`. Without `includeInactive`, inactive categories
+// and everything below them are left out.
+const buildCategoryTree = (categories, { includeInactive = false } = {}) => {
+  const byParent = new Map();
+  for (const category of categories) {
+    const key = category.parent_id ?? null;
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(category);
+  }
+
+  const branch = (parentId) => (byParent.get(parentId) || [])
+    .filter(category => includeInactive || category.is_active)
+    .map(category => ({ ...category, children: branch(category.id) }));
+
+  return branch(null);
+};
+
+const getCategoryTree = async (options) => buildCategoryTree(await listCategories(), options);
+
+// Slugs that can be selected: active, with every ancestor active too
+const activeCategorySlugs = async () => {
+  const slugs = new Set();
+  const collect = (nodes) => nodes.forEach(node => {
+    slugs.add(node.slug);
+    collect(node.children);
+  });
+  collect(await getCategoryTree());
+  return slugs;
+};
+
+// The given slugs that are not real, active categories
+const unknownCategorySlugs = async (slugs) => {
+  const active = await activeCategorySlugs();
+  return slugs.filter(slug => !active.has(slug));
+};
+
+// express-validator custom check for an array of category slugs
+const assertCategorySlugs = async (slugs) => {
+  const unknown = await unknownCategorySlugs(slugs);
+  if (unknown.length) {
+    throw new Error(`Unknown or inactive categories: ${unknown.join(', ')}`);
+  }
+  return true;
+};
+
+// Creator profiles that list the slug in content_categories
+const countCreatorsUsingCategory = (slug) => {
+  return prisma.creatorProfile.count({
+    where: { content_categories: { array_contains: [slug] } }
+  });
+};
+
+const findCategory = async (id) => {
+  const category = await prisma.category.findUnique({ where: { id: Number(id) } });
+  if (!category) {
+    throw new CategoryError('Category not found', 404);
+  }
+  return category;
+};
+
+// A category cannot be moved under itself or one of its descendants
+const assertValidParent = async (categoryId, parentId) => {
+  let current = await prisma.category.findUnique({ where: { id: parentId } });
+  if (!current) {
+    throw new CategoryError('Parent category not found', 404);
+  }
+
+  while (current) {
+    if (categoryId !== null && current.id === categoryId) {
+      throw new CategoryError('A category cannot be placed under itself or its subcategories');
+    }
+    current = current.parent_id === null
+      ? null
+      : await prisma.category.findUnique({ where: { id: current.parent_id } });
+  }
+};
+
+const saveCategory = async (write) => {
+  try {
+    return await write();
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new CategoryError('A category with this slug already exists', 409);
+    }
+    throw error;
+  }
+};
+
+// New categories go to the end of their siblings
+const createCategory = async ({ name, slug, description, parentId = null, isActive = true }) => {
+  slug = slug ? normalizeCategorySlug(slug) : slugifyCategory(name);
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new CategoryError('Slug may only contain lowercase letters, numbers and hyphens');
+  }
+
+  if (parentId !== null) {
+    await assertValidParent(null, parentId);
+  }
+
+  const last = await prisma.category.findFirst({
+    where: { parent_id: parentId },
+    orderBy: { sort_order: 'desc' }
+  });
+
+  return saveCategory(() => prisma.category.create({
+    data: {
+      name,
+      slug,
+      description: description || null,
+      parent_id: parentId,
+      is_active: isActive,
+      sort_order: last ? last.sort_order + 1 : 0
+    }
+  }));
+};
+
+// Slugs are stored on creator profiles, so a slug in use cannot be renamed
+const updateCategory = async (id, input) => {
+  const category = await findCategory(id);
+  const data = {};
+
+  if (input.name !== undefined) data.name = input.name;
+  if (input.description !== undefined) data.description = input.description || null;
+  if (input.isActive !== undefined) data.is_active = input.isActive;
+
+  if (input.slug !== undefined) {
+    const slug = normalizeCategorySlug(input.slug);
+    if (!SLUG_PATTERN.test(slug)) {
+      throw new CategoryError('Slug may only contain lowercase letters, numbers and hyphens');
+    }
+    if (slug !== category.slug) {
+      if (await countCreatorsUsingCategory(category.slug)) {
+        throw new CategoryError('This category is used by creators; its slug cannot change', 409);
+      }
+      data.slug = slug;
+    }
+  }
+
+  if (input.parentId !== undefined && input.parentId !== category.parent_id) {
+    if (input.parentId !== null) {
+      await assertValidParent(category.id, input.parentId);
+    }
+    const last = await prisma.category.findFirst({
+      where: { parent_id: input.parentId },
+      orderBy: { sort_order: 'desc' }
+    });
+    data.parent_id = input.parentId;
+    data.sort_order = last ? last.sort_order + 1 : 0;
+  }
+
+  return saveCategory(() => prisma.category.update({
+    where: { id: category.id },
+    data
+  }));
+};
+
+// Set the order of all children of a parent (null for top-level categories)
+const reorderCategories = async (parentId, categoryIds) => {
+  const siblings = await prisma.category.findMany({ where: { parent_id: parentId } });
+  const currentIds = siblings.map(category => category.id).sort((a, b) => a - b);
+  const requestedIds = categoryIds.map(Number).sort((a, b) => a - b);
+
+  if (currentIds.length !== requestedIds.length || currentIds.some((id, index) => id !== requestedIds[index])) {
+    throw new CategoryError('Category order must include each category under this parent exactly once');
+  }
+
+  await prisma.$transaction(categoryIds.map((id, index) => prisma.category.update({
+    where: { id: Number(id) },
+    data: { sort_order: index }
+  })));
+
+  return getCategoryTree({ includeInactive: true });
+};
+
+// Only unused leaf categories can be deleted; deactivate anything else
+const deleteCategory = async (id) => {
+  const category = await findCategory(id);
+
+  if (await prisma.category.count({ where: { parent_id: category.id } })) {
+    throw new CategoryError('Move or delete the subcategories first', 409);
+  }
+  if (await countCreatorsUsingCategory(category.slug)) {
+    throw new CategoryError('This category is used by creators; deactivate it instead', 409);
+  }
+
+  await prisma.category.delete({ where: { id: category.id } });
+};
+
+module.exports = {
+  CategoryError,
+  SLUG_PATTERN,
+  slugifyCategory,
+  normalizeCategorySlug,
+  getCategoryTree,
+  unknownCategorySlugs,
+  assertCategorySlugs,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  deleteCategory
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('../generated/client');
+const { sendMail, escapeHtml } = require('./mailer');
+
+const prisma = new PrismaClient();
+
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+
+// Lifetime of each token purpose
+const TOKEN_TTL_MS = {
+  verify_email: 24 * 60 * 60 * 1000, // 24 hours
+  password_reset: 60 * 60 * 1000 // 1 hour
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a single-use token for an email address. Older unused tokens for the
+// same user and purpose are invalidated so only the latest link works.
+const createEmailToken = async (userId, email, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await prisma.$transaction([
+    prisma.emailToken.updateMany({
+      where: { user_id: BigInt(userId), purpose, used_at: null },
+      data: { used_at: new Date() }
+    }),
+    prisma.emailToken.create({
+      data: {
+        user_id: BigInt(userId),
+        email,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+      }
+    })
+  ]);
+
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, expired or already used
+const consumeEmailToken = async (token, purpose) => {
+  const record = await prisma.emailToken.findUnique({
+    where: { token_hash: hashToken(token) }
+  });
+
+  if (!record || record.purpose !== purpose || record.used_at || record.expires_at <= new Date()) {
+    return null;
+  }
+
+  // Claim atomically so the same link cannot be used twice concurrently
+  const claimed = await prisma.emailToken.updateMany({
+    where: { id: record.id, used_at: null },
+    data: { used_at: new Date() }
+  });
+
+  return claimed.count === 1 ? record : null;
+};
+
+const sendVerificationEmail = async (user, email = user.email) => {
+  const token = await createEmailToken(user.id, email, 'verify_email');
+  const link = `${APP_BASE_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: email,
+    subject: 'Verify your email for Influ Mojo',
+    text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address by opening <a href="${link}">this link</a>.</p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createEmailToken(user.id, user.email, 'password_reset');
+  const link = `${APP_BASE_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Influ Mojo password',
+    text: `Hi ${user.name},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Reset your password by opening <a href="${link}">this link</a>.</p><p>The link expires in 1 hour. If you did not ask for this, you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  createEmailToken,
+  consumeEmailToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
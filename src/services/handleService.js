@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('../generated/client');
+
+const prisma = new PrismaClient();
+
+const HANDLE_MIN_LENGTH = 3;
+const HANDLE_MAX_LENGTH = 30;
+// Lowercase letters, digits, "_" and "."; must start and end with a letter or digit
+const HANDLE_PATTERN = /^[a-z0-9](?:[a-z0-9_.]*[a-z0-9])?$/;
+
+// Words that would be confusing (or clash with routes) as a public profile URL
+const RESERVED_HANDLES = new Set([
+  'admin', 'administrator', 'api', 'app', 'brand', 'brands', 'creator', 'creators',
+  'help', 'influmojo', 'login', 'logout', 'me', 'register', 'root', 'settings',
+  'signup', 'support', 'system'
+]);
+
+const normalizeHandle = (handle) => String(handle || '').trim().replace(/^@/, '').toLowerCase();
+
+// Returns an error message, or null when the (normalized) handle is acceptable
+const handleError = (handle) => {
+  if (handle.length < HANDLE_MIN_LENGTH || handle.length > HANDLE_MAX_LENGTH) {
+    return `Handle must be ${HANDLE_MIN_LENGTH}-${HANDLE_MAX_LENGTH} characters`;
+  }
+  if (!HANDLE_PATTERN.test(handle) || handle.includes('..')) {
+    return 'Handle may contain only letters, numbers, "_" and "." and must start and end with a letter or number';
+  }
+  if (RESERVED_HANDLES.has(handle)) {
+    return 'This handle is reserved';
+  }
+  return null;
+};
+
+const isHandleTaken = async (handle, exceptCreatorId) => {
+  const existing = await prisma.creatorProfile.findUnique({ where: { handle } });
+  return Boolean(existing) && existing.id !== exceptCreatorId;
+};
+
+// Turn a display name into a handle candidate, e.g. "Priya Sharma" -> "priya.sharma"
+const slugify = (name) => {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '.')
+    .replace(/^\.+|\.+$/g, '')
+    .slice(0, HANDLE_MAX_LENGTH - 5)
+    .replace(/\.+$/, '');
+};
+
+// Pick a free handle based on the user's name, adding a numeric suffix when needed
+const generateHandle = async (name) => {
+  let base = slugify(name);
+  if (base.length < HANDLE_MIN_LENGTH || RESERVED_HANDLES.has(base)) {
+    base = `creator${base ? `.${base}` : ''}`.slice(0, HANDLE_MAX_LENGTH - 5);
+  }
+
+  if (!(await isHandleTaken(base))) {
+    return base;
+  }
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const candidate = `${base}${crypto.randomInt(1000, 10000)}`;
+    if (!(await isHandleTaken(candidate))) {
+      return candidate;
+    }
+  }
+
+  return `${base}${crypto.randomBytes(3).toString('hex')}`;
+};
+
+// Give a creator profile a handle if it does not have one yet; returns the profile
+const ensureCreatorHandle = async (creatorProfile, name) => {
+  if (creatorProfile.handle) return creatorProfile;
+
+  return prisma.creatorProfile.update({
+    where: { id: creatorProfile.id },
+    data: { handle: await generateHandle(name) }
+  });
+};
+
+module.exports = {
+  HANDLE_MIN_LENGTH,
+  HANDLE_MAX_LENGTH,
+  normalizeHandle,
+  handleError,
+  isHandleTaken,
+  generateHandle,
+  ensureCreatorHandle
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'];
+
+// Error raised when an ID token cannot be verified; `status` is the HTTP status to respond with
+class IdTokenError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'IdTokenError';
+    this.status = status;
+  }
+}
+
+const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Built-in providers, enabled when their client id is configured. Google and Apple only
+// mark addresses they own or have verified, so their emails may match existing accounts.
+const builtInProviders = () => {
+  const providers = {};
+
+  if (process.env.GOOGLE_CLIENT_ID) {
+    providers.google = {
+      issuer: ['https://accounts.google.com', 'accounts.google.com'],
+      jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+      audience: splitList(process.env.GOOGLE_CLIENT_ID),
+      trustEmailForLinking: true
+    };
+  }
+
+  if (process.env.APPLE_CLIENT_ID) {
+    providers.apple = {
+      issuer: 'https://appleid.apple.com',
+      jwksUri: 'https://appleid.apple.com/auth/keys',
+      audience: splitList(process.env.APPLE_CLIENT_ID),
+      trustEmailForLinking: true
+    };
+  }
+
+  return providers;
+};
+
+// Extra or overriding providers from the JSON file named by OIDC_PROVIDERS_FILE:
+// { "<key>": { "issuer", "audience", "jwksUri" | "jwksFile", "trustEmailForLinking" } }.
+// Relative jwksFile paths are resolved against the config file's directory. Set
+// trustEmailForLinking only for providers that cannot issue tokens for addresses
+// they do not control; anyone running their own provider could otherwise sign in
+// to any account by its email.
+const fileProviders = () => {
+  const file = process.env.OIDC_PROVIDERS_FILE;
+  if (!file) return {};
+
+  const configPath = path.resolve(file);
+  const providers = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  for (const provider of Object.values(providers)) {
+    if (provider.jwksFile) {
+      provider.jwksFile = path.resolve(path.dirname(configPath), provider.jwksFile);
+    }
+  }
+
+  return providers;
+};
+
+let providers = null;
+const jwksCache = new Map();
+
+const getProviders = () => {
+  if (!providers) {
+    providers = { ...builtInProviders(), ...fileProviders() };
+  }
+  return providers;
+};
+
+// Own keys only, so names like "constructor" are not mistaken for providers
+const findProvider = (key) => {
+  const configured = getProviders();
+  return Object.hasOwn(configured, key) ? configured[key] : null;
+};
+
+const getProvider = (key) => {
+  const provider = findProvider(key);
+  if (!provider) {
+    throw new IdTokenError(`Unknown identity provider: ${key}`, 404);
+  }
+  return provider;
+};
+
+const isProviderConfigured = (key) => Boolean(findProvider(key));
+
+const loadJwks = async (key, provider, { forceRefresh = false } = {}) => {
+  const cached = jwksCache.get(key);
+  if (cached && !forceRefresh && cached.expiresAt > Date.now()) {
+    return cached.keys;
+  }
+
+  let jwks;
+  if (provider.jwksFile) {
+    jwks = JSON.parse(await fs.promises.readFile(provider.jwksFile, 'utf8'));
+  } else {
+    // Network failures and bad responses are the provider's problem, not the client's
+    try {
+      const response = await fetch(provider.jwksUri);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      jwks = await response.json();
+    } catch (error) {
+      throw new IdTokenError(`Failed to load signing keys for ${key}`, 502);
+    }
+  }
+
+  jwksCache.set(key, { keys: jwks.keys || [], expiresAt: Date.now() + JWKS_CACHE_TTL_MS });
+  return jwks.keys || [];
+};
+
+// Find the signing key for a token, refreshing the JWKS once if the kid is unknown (key rotation)
+const findSigningKey = async (key, provider, kid) => {
+  let jwk = (await loadJwks(key, provider)).find(k => k.kid === kid);
+
+  if (!jwk && !provider.jwksFile) {
+    jwk = (await loadJwks(key, provider, { forceRefresh: true })).find(k => k.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new IdTokenError('Unknown signing key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Verify an ID token from a configured provider and return normalized claims
+const verifyIdToken = async (providerKey, idToken, { nonce } = {}) => {
+  const provider = getProvider(providerKey);
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new IdTokenError('Malformed ID token');
+  }
+
+  const { kid, alg } = decoded.header;
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new IdTokenError(`Unsupported token algorithm: ${alg}`);
+  }
+
+  const publicKey = await findSigningKey(providerKey, provider, kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: [alg],
+      issuer: provider.issuer,
+      audience: provider.audience
+    });
+  } catch (error) {
+    throw new IdTokenError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (nonce !== undefined && claims.nonce !== nonce) {
+    throw new IdTokenError('ID token nonce mismatch');
+  }
+
+  if (!claims.sub) {
+    throw new IdTokenError('ID token has no subject');
+  }
+
+  return {
+    providerUserId: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    // Apple sends email_verified as the string "true"
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    trustEmail: provider.trustEmailForLinking === true,
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null,
+    picture: claims.picture || null
+  };
+};
+
+// Forget loaded providers and keys (after changing configuration, e.g. in tests)
+const resetIdTokenVerifier = () => {
+  providers = null;
+  jwksCache.clear();
+};
+
+module.exports = {
+  IdTokenError,
+  verifyIdToken,
+  isProviderConfigured,
+  resetIdTokenVerifier
+};
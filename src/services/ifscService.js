@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bundled dataset: names for every bank code in the razorpay/ifsc bank list and the
+// branch codes each bank has issued, from razorpay/ifsc's IFSC.json (both MIT). Branch
+// details by full IFSC are optional: add them from the razorpay/ifsc CSV with
+// `npm run ifsc:import`, or point IFSC_DATASET_FILE at a larger file.
+const DEFAULT_DATASET = path.join(__dirname, '../data/ifsc.json');
+
+// 4 letters (bank), a zero, then 6 letters or digits (branch)
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+let dataset = null;
+let branchCodes = null;
+
+const getDataset = () => {
+  if (!dataset) {
+    dataset = JSON.parse(fs.readFileSync(process.env.IFSC_DATASET_FILE || DEFAULT_DATASET, 'utf8'));
+  }
+  return dataset;
+};
+
+// Bank code -> Set of branch codes (empty when the dataset has no branch codes)
+const getBranchCodes = () => {
+  if (!branchCodes) {
+    branchCodes = new Map(Object.entries(getDataset().branchCodes || {}).map(
+      ([bankCode, codes]) => [bankCode, new Set(codes.split(','))]
+    ));
+  }
+  return branchCodes;
+};
+
+const normalizeIfsc = (code) => String(code || '').trim().toUpperCase();
+
+// Bank and branch for an IFSC, or null when the format is wrong, the bank is unknown or
+// (when the dataset has branch codes) the bank never issued it. `branchVerified` is false
+// when only the bank could be checked. Branch fields are null when the dataset has no
+// details for that branch.
+const lookupIfsc = (code) => {
+  const ifsc = normalizeIfsc(code);
+  if (!IFSC_PATTERN.test(ifsc)) return null;
+
+  const { banks, branches = {} } = getDataset();
+  const bankCode = ifsc.slice(0, 4);
+  if (!Object.hasOwn(banks, bankCode)) return null;
+
+  const issued = getBranchCodes();
+  const branchVerified = Object.hasOwn(branches, ifsc) || Boolean(issued.get(bankCode)?.has(ifsc.slice(5)));
+  if (issued.size && !branchVerified) return null;
+
+  const branch = Object.hasOwn(branches, ifsc) ? branches[ifsc] : {};
+  return {
+    ifsc,
+    bankCode,
+    bank: banks[bankCode],
+    branchVerified,
+    branch: branch.branch || null,
+    city: branch.city || null,
+    state: branch.state || null
+  };
+};
+
+module.exports = {
+  IFSC_PATTERN,
+  normalizeIfsc,
+  lookupIfsc
+};
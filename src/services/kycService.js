@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('../generated/client');
+const { createSignedMediaUrl } = require('./mediaService');
+const { maskNumber } = require('../serializers/helpers');
+const { notifyUser } = require('./notificationService');
+
+const prisma = new PrismaClient();
+
+const KYC_HASH_SECRET = process.env.KYC_HASH_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+// 32-byte key for encrypting document numbers at rest
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.KYC_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key')
+  .digest();
+
+// Error raised for rejected KYC submissions; `status` is the HTTP status to respond with
+class KycError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'KycError';
+    this.status = status;
+  }
+}
+
+// Verhoeff checksum tables (used by Aadhaar)
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+const verhoeffValid = (digits) => {
+  let check = 0;
+  [...digits].reverse().forEach((digit, index) => {
+    check = VERHOEFF_D[check][VERHOEFF_P[index % 8][Number(digit)]];
+  });
+  return check === 0;
+};
+
+// Accepted documents: number format, and whether a back image is needed
+const KYC_DOCUMENTS = {
+  pan: {
+    // 5 letters (4th is the holder type), 4 digits, 1 letter
+    pattern: /^[A-Z]{3}[ABCFGHJLPT][A-Z][0-9]{4}[A-Z]$/,
+    message: 'PAN must look like ABCDE1234F',
+    requiresBack: false
+  },
+  aadhaar: {
+    pattern: /^[2-9][0-9]{11}$/,
+    checksum: verhoeffValid,
+    message: 'Aadhaar must be a valid 12-digit number',
+    requiresBack: true
+  },
+  passport: {
+    // Indian passport: one letter, then 7 digits that do not start or end with 0
+    pattern: /^[A-PR-WY][1-9][0-9]{5}[1-9]$/,
+    message: 'Passport number must look like A1234567',
+    requiresBack: true
+  }
+};
+
+const normalizeDocumentNumber = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+// Returns an error message, or null when the (normalized) number is valid for the type
+const documentNumberError = (documentType, number) => {
+  const document = KYC_DOCUMENTS[documentType];
+  if (!document) return 'Unsupported document type';
+  if (!document.pattern.test(number) || (document.checksum && !document.checksum(number))) {
+    return document.message;
+  }
+  return null;
+};
+
+// Keyed hash so duplicates can be found without searching on the raw number
+const documentHash = (documentType, number) => {
+  return crypto.createHmac('sha256', KYC_HASH_SECRET).update(`${documentType}:${number}`).digest('hex');
+};
+
+const encryptDocumentNumber = (number) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(number, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+// Rows from before encryption (see `npm run kyc:encrypt-document-numbers`) still
+// hold the plain number, which never contains '.'
+const decryptDocumentNumber = (payload) => {
+  if (!payload.includes('.')) return payload;
+
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Stored form of a document number: encrypted, plus a masked copy for display
+const documentNumberFields = (number) => ({
+  document_number: encryptDocumentNumber(number),
+  document_masked: maskNumber(number)
+});
+
+// Create or replace a creator's KYC submission; it goes back to `pending` for review.
+// Pending and rejected submissions can be replaced; verified ones cannot.
+const submitKyc = async (creatorId, { documentType, documentNumber, holderName, frontMedia, backMedia, selfieMedia }) => {
+  const existing = await prisma.kYC.findUnique({ where: { creator_id: creatorId } });
+  if (existing && existing.status === 'verified') {
+    throw new KycError('KYC is already verified', 409);
+  }
+
+  const document = KYC_DOCUMENTS[documentType];
+  if (!document) {
+    throw new KycError('Unsupported document type');
+  }
+  if (document.requiresBack && !backMedia) {
+    throw new KycError(`A back image is required for ${documentType}`);
+  }
+
+  const hash = documentHash(documentType, documentNumber);
+
+  const duplicate = await prisma.kYC.findUnique({ where: { document_hash: hash } });
+  if (duplicate && duplicate.creator_id !== creatorId) {
+    throw new KycError('This document is already registered to another account', 409);
+  }
+
+  const kycData = {
+    document_type: documentType.toUpperCase(),
+    ...documentNumberFields(documentNumber),
+    document_hash: hash,
+    holder_name: holderName || null,
+    front_media_id: frontMedia.id,
+    back_media_id: backMedia ? backMedia.id : null,
+    selfie_media_id: selfieMedia ? selfieMedia.id : null,
+    document_front_url: null,
+    document_back_url: null,
+    selfie_url: null,
+    status: 'pending',
+    submitted_at: new Date(),
+    // Clear the outcome of any earlier review
+    verified_at: null,
+    verified_by: null,
+    rejected_at: null,
+    rejection_reason: null
+  };
+
+  try {
+    return await prisma.kYC.upsert({
+      where: { creator_id: creatorId },
+      update: kycData,
+      create: {
+        creator_id: creatorId,
+        ...kycData
+      }
+    });
+  } catch (error) {
+    // Another creator registered the same document at the same moment
+    if (error.code === 'P2002') {
+      throw new KycError('This document is already registered to another account', 409);
+    }
+    throw error;
+  }
+};
+
+// Page through KYC submissions for review, oldest first. `search` matches the
+// creator's name, email, phone or handle.
+const listKycSubmissions = async ({ status = 'pending', documentType, search, page = 1, limit = 20 }) => {
+  const where = {};
+  if (status) where.status = status;
+  if (documentType) where.document_type = documentType.toUpperCase();
+  if (search) {
+    where.creator = {
+      OR: [
+        { handle: { contains: search.toLowerCase() } },
+        {
+          user: {
+            OR: [
+              { name: { contains: search, mode: 'insensitive' } },
+              { email: { contains: search, mode: 'insensitive' } },
+              { phone: { contains: search } }
+            ]
+          }
+        }
+      ]
+    };
+  }
+
+  const [total, submissions] = await prisma.$transaction([
+    prisma.kYC.count({ where }),
+    prisma.kYC.findMany({
+      where,
+      include: { creator: { include: { user: true } } },
+      orderBy: { submitted_at: 'asc' },
+      skip: (page - 1) * limit,
+      take: limit
+    })
+  ]);
+
+  return { total, submissions };
+};
+
+const REVIEW_NOTIFICATIONS = {
+  verified: () => ({
+    type: 'kyc_approved',
+    title: 'Your KYC has been approved',
+    message: 'Your identity documents have been verified. Your profile now shows as verified.'
+  }),
+  rejected: (reason) => ({
+    type: 'kyc_rejected',
+    title: 'Your KYC needs attention',
+    message: `We could not verify your identity documents: ${reason}. Please submit them again from the app.`
+  })
+};
+
+// Approve (`verified`) or reject a pending submission, update the creator's
+// verified badge and notify the creator
+const reviewKyc = async (kycId, reviewerId, { decision, reason }) => {
+  const kyc = await prisma.kYC.findUnique({
+    where: { id: BigInt(kycId) },
+    include: { creator: { include: { user: true } } }
+  });
+
+  if (!kyc) {
+    throw new KycError('KYC submission not found', 404);
+  }
+  if (kyc.status !== 'pending') {
+    throw new KycError(`KYC submission is already ${kyc.status}`, 409);
+  }
+  if (decision === 'rejected' && !reason) {
+    throw new KycError('A reason is required to reject a submission');
+  }
+
+  const now = new Date();
+  const updated = await prisma.$transaction(async (tx) => {
+    // Only a submission that is still pending can be reviewed; another reviewer
+    // may have decided it since it was read above
+    const { count } = await tx.kYC.updateMany({
+      where: { id: kyc.id, status: 'pending' },
+      data: decision === 'verified'
+        ? { status: 'verified', verified_at: now, verified_by: BigInt(reviewerId), rejected_at: null, rejection_reason: null }
+        : { status: 'rejected', rejected_at: now, rejection_reason: reason, verified_by: BigInt(reviewerId), verified_at: null }
+    });
+    if (!count) {
+      throw new KycError('KYC submission has already been reviewed', 409);
+    }
+
+    await tx.creatorProfile.update({
+      where: { id: kyc.creator_id },
+      data: { verified: decision === 'verified' }
+    });
+
+    return tx.kYC.findUnique({ where: { id: kyc.id } });
+  });
+
+  await notifyUser(kyc.creator.user, {
+    ...REVIEW_NOTIFICATIONS[decision](reason),
+    data: { kycId: kyc.id.toString() }
+  });
+
+  return updated;
+};
+
+// Signed, expiring download links for a KYC record's document images. The caller
+// must have checked that `userId` is the owning creator or an admin.
+const kycDocumentLinks = async (kyc, userId, context) => {
+  const media = await prisma.media.findMany({
+    where: {
+      id: { in: [kyc.front_media_id, kyc.back_media_id, kyc.selfie_media_id].filter(Boolean) }
+    }
+  });
+  const byId = new Map(media.map(item => [item.id.toString(), item]));
+
+  const link = async (mediaId) => {
+    const item = mediaId && byId.get(mediaId.toString());
+    return item ? createSignedMediaUrl(item, userId, context) : null;
+  };
+
+  return {
+    front: await link(kyc.front_media_id),
+    back: await link(kyc.back_media_id),
+    selfie: await link(kyc.selfie_media_id)
+  };
+};
+
+// Full document number for a reviewer; every reveal is logged
+const revealDocumentNumber = async (kyc, userId, { ipAddress, userAgent } = {}) => {
+  await prisma.kycAccessLog.create({
+    data: {
+      kyc_id: kyc.id,
+      user_id: BigInt(userId),
+      ip_address: ipAddress,
+      user_agent: userAgent
+    }
+  });
+
+  return decryptDocumentNumber(kyc.document_number);
+};
+
+module.exports = {
+  KycError,
+  KYC_DOCUMENTS,
+  normalizeDocumentNumber,
+  documentNumberError,
+  documentNumberFields,
+  submitKyc,
+  listKycSubmissions,
+  reviewKyc,
+  kycDocumentLinks,
+  revealDocumentNumber
+};
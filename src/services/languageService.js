@@ -0,0 +1,32 @@
+const { languages: LANGUAGES, aliases: ALIASES } = require('../data/languages.json');
+
+// Reference list of languages creators can speak: ISO 639 codes (639-1 where one
+// exists, otherwise 639-2/639-3, e.g. "mai" for Maithili) with English and native names
+const byCode = new Map(LANGUAGES.map(language => [language.code, language]));
+const byName = new Map(LANGUAGES.map(language => [language.name.toLowerCase(), language.code]));
+const byAlias = new Map(Object.entries(ALIASES));
+
+// ISO code for a code or English name ("Hindi", "hi", "Oriya" -> "or"), or null if unknown
+const normalizeLanguage = (value) => {
+  const key = String(value || '').trim().toLowerCase();
+  if (byCode.has(key)) return key;
+  return byName.get(key) || byAlias.get(key) || null;
+};
+
+const isLanguageCode = (code) => byCode.has(code);
+
+// express-validator custom check for an array of language codes or names
+const assertLanguages = (values) => {
+  const unknown = values.filter(value => !normalizeLanguage(value));
+  if (unknown.length) {
+    throw new Error(`Unknown languages: ${unknown.join(', ')}`);
+  }
+  return true;
+};
+
+module.exports = {
+  LANGUAGES,
+  normalizeLanguage,
+  isLanguageCode,
+  assertLanguages
+};
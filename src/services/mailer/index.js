@@ -0,0 +1,42 @@
+const OutboxMailer = require('./outboxMailer');
+
+// A mailer is any object with `send({ to, subject, text, html })` returning a promise.
+// The transport is chosen with MAIL_TRANSPORT; `outbox` (default) writes to disk.
+const transports = {
+  outbox: () => new OutboxMailer()
+};
+
+let mailer = null;
+
+const getMailer = () => {
+  if (!mailer) {
+    const transport = process.env.MAIL_TRANSPORT || 'outbox';
+    if (!transports[transport]) {
+      throw new Error(`Unknown mail transport: ${transport}`);
+    }
+    mailer = transports[transport]();
+  }
+  return mailer;
+};
+
+// Replace the active mailer (e.g. with a real provider or a test double)
+const setMailer = (instance) => {
+  mailer = instance;
+};
+
+const sendMail = (message) => getMailer().send(message);
+
+// Escape user-provided text before putting it into an HTML body
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+module.exports = {
+  OutboxMailer,
+  getMailer,
+  setMailer,
+  sendMail,
+  escapeHtml
+};
@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Mailer that writes every message as a JSON file into a local outbox directory
+// instead of sending it. Used for development and automated tests.
+class OutboxMailer {
+  constructor({ directory } = {}) {
+    this.directory = directory || process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'influmojo-outbox');
+  }
+
+  async send({ to, subject, text, html }) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const message = {
+      id,
+      to,
+      from: process.env.MAIL_FROM || 'Influ Mojo <no-reply@influmojo.com>',
+      subject,
+      text,
+      html,
+      created_at: new Date().toISOString()
+    };
+
+    await fs.writeFile(path.join(this.directory, `${id}.json`), JSON.stringify(message, null, 2));
+    return { id };
+  }
+
+  // Read back messages (newest first), optionally only those sent to one address
+  async list({ to } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const messages = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(async file => JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8')))
+    );
+
+    return messages
+      .filter(message => !to || message.to === to)
+      .sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+}
+
+module.exports = OutboxMailer;
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('../generated/client');
+const { getStorage } = require('./storage');
+
+const prisma = new PrismaClient();
+
+const MB = 1024 * 1024;
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.MEDIA_SIGNED_URL_TTL_SECONDS || '300', 10);
+const SIGNING_SECRET = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+// Error raised for rejected uploads or media references; `status` is the HTTP status to respond with
+class MediaError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MediaError';
+    this.status = status;
+  }
+}
+
+// What each upload purpose accepts. Private media is kept in the private storage area
+// and only served through signed links issued to its owner and admins.
+const MEDIA_PURPOSES = {
+  avatar: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+    maxBytes: 5 * MB,
+    private: false
+  },
+  portfolio: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'video/mp4', 'video/quicktime'],
+    maxBytes: 50 * MB,
+    private: false
+  },
+  kyc: {
+    mimeTypes: ['image/jpeg', 'image/png', 'application/pdf'],
+    maxBytes: 10 * MB,
+    private: true
+  },
+  message_attachment: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'application/pdf', 'application/zip', 'video/mp4'],
+    maxBytes: 25 * MB,
+    private: true
+  }
+};
+
+// Largest upload any purpose allows; used as the multipart size limit
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MEDIA_PURPOSES).map(purpose => purpose.maxBytes));
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip'
+};
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// ISO media major brands (bytes 8-12 of the ftyp box) of MP4 video. Other ftyp files,
+// such as HEIC images or 3GP, are not accepted as MP4.
+const MP4_BRANDS = new Set([
+  'isom', 'iso2', 'iso3', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'dash', 'M4V ', 'MSNV', 'mmp4'
+]);
+
+// Identify the file type from its leading bytes; the client-supplied MIME type is not trusted
+const detectMimeType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+  if (startsWith(buffer, ascii('%PDF-'))) return 'application/pdf';
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) return 'application/zip';
+  if (startsWith(buffer, ascii('ftyp'), 4) && buffer.length >= 12) {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (MP4_BRANDS.has(brand)) return 'video/mp4';
+  }
+  return null;
+};
+
+// Validate an uploaded file (multer memory storage) against its purpose and store it
+const storeUpload = async (userId, purpose, file) => {
+  const rules = MEDIA_PURPOSES[purpose];
+  if (!rules) {
+    throw new MediaError(`Unknown media purpose: ${purpose}`);
+  }
+  if (!file || file.size === 0) {
+    throw new MediaError('File is required');
+  }
+  if (file.size > rules.maxBytes) {
+    throw new MediaError(`File is too large; ${purpose} uploads are limited to ${rules.maxBytes / MB} MB`, 413);
+  }
+
+  const mimeType = detectMimeType(file.buffer);
+  if (!mimeType || !rules.mimeTypes.includes(mimeType)) {
+    throw new MediaError(`Unsupported file type for ${purpose}; allowed: ${rules.mimeTypes.join(', ')}`, 415);
+  }
+
+  const storage = getStorage(rules.private ? 'private' : 'public');
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const key = `${purpose}/${now.getUTCFullYear()}/${month}/${crypto.randomBytes(16).toString('hex')}${EXTENSIONS[mimeType]}`;
+
+  await storage.save(key, file.buffer);
+
+  try {
+    return await prisma.media.create({
+      data: {
+        owner_id: BigInt(userId),
+        purpose,
+        storage_driver: storage.name,
+        storage_key: key,
+        mime_type: mimeType,
+        size_bytes: file.size,
+        original_name: file.originalname ? file.originalname.slice(0, 255) : null
+      }
+    });
+  } catch (error) {
+    await storage.remove(key);
+    throw error;
+  }
+};
+
+// Resolve a media id sent by the client to a file the user uploaded for the given purpose
+const findOwnedMedia = async (userId, mediaId, purpose) => {
+  let id;
+  try {
+    id = BigInt(mediaId);
+  } catch (error) {
+    throw new MediaError('Invalid media id');
+  }
+
+  const media = await prisma.media.findUnique({ where: { id } });
+
+  if (!media || media.owner_id.toString() !== userId.toString()) {
+    throw new MediaError('Media not found', 404);
+  }
+  if (media.purpose !== purpose) {
+    throw new MediaError(`Media was not uploaded as ${purpose}`);
+  }
+
+  return media;
+};
+
+const isPrivateMedia = (media) => MEDIA_PURPOSES[media.purpose].private;
+
+const storageFor = (media) => getStorage(isPrivateMedia(media) ? 'private' : 'public');
+
+// URL the app uses to load public media; private media has no permanent URL
+const mediaUrl = (media) => `${process.env.MEDIA_BASE_URL || ''}/api/media/${media.id}/content`;
+
+const openMediaStream = (media) => storageFor(media).createReadStream(media.storage_key);
+
+const removeMediaFile = (media) => storageFor(media).remove(media.storage_key);
+
+const signMediaAccess = (mediaId, userId, expires) => {
+  return crypto.createHmac('sha256', SIGNING_SECRET)
+    .update(`${mediaId}.${userId}.${expires}`)
+    .digest('hex');
+};
+
+const recordMediaAccess = (media, userId, action, { ipAddress, userAgent } = {}) => {
+  return prisma.mediaAccessLog.create({
+    data: {
+      media_id: media.id,
+      user_id: userId ? BigInt(userId) : null,
+      action,
+      ip_address: ipAddress,
+      user_agent: userAgent
+    }
+  });
+};
+
+// Short-lived download link for private media, bound to the user it is issued to.
+// Callers must check that the user is the owner or an admin first.
+const createSignedMediaUrl = async (media, userId, context) => {
+  const expires = Math.floor(Date.now() / 1000) + SIGNED_URL_TTL_SECONDS;
+  const signature = signMediaAccess(media.id, userId, expires);
+
+  await recordMediaAccess(media, userId, 'link_issued', context);
+
+  return {
+    url: `${mediaUrl(media)}?uid=${userId}&expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+// Check the query of a signed link; returns the user id it was issued to, or null
+const verifySignedMediaUrl = (media, { uid, expires, signature }) => {
+  if (!uid || !expires || !signature || !/^\d+$/.test(String(expires))) return null;
+  if (parseInt(expires, 10) < Date.now() / 1000) return null;
+
+  const expected = Buffer.from(signMediaAccess(media.id, uid, expires));
+  const actual = Buffer.from(String(signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return String(uid);
+};
+
+module.exports = {
+  MediaError,
+  MEDIA_PURPOSES,
+  MAX_UPLOAD_BYTES,
+  detectMimeType,
+  storeUpload,
+  findOwnedMedia,
+  isPrivateMedia,
+  mediaUrl,
+  openMediaStream,
+  removeMediaFile,
+  recordMediaAccess,
+  createSignedMediaUrl,
+  verifySignedMediaUrl
+};
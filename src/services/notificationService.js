@@ -0,0 +1,37 @@
+const { PrismaClient } = require('../generated/client');
+const { sendMail, escapeHtml } = require('./mailer');
+
+const prisma = new PrismaClient();
+
+// Store an in-app notification and, when the user has an email address, send it by
+// email too. Email failures are logged and do not fail the caller.
+const notifyUser = async (user, { type, title, message, data }) => {
+  const notification = await prisma.notification.create({
+    data: {
+      user_id: user.id,
+      type,
+      title,
+      message,
+      data
+    }
+  });
+
+  if (user.email) {
+    try {
+      await sendMail({
+        to: user.email,
+        subject: title,
+        text: `Hi ${user.name},\n\n${message}`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>${escapeHtml(message)}</p>`
+      });
+    } catch (error) {
+      console.error('Notification email failed:', error);
+    }
+  }
+
+  return notification;
+};
+
+module.exports = {
+  notifyUser
+};
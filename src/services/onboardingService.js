@@ -0,0 +1,74 @@
+const { PrismaClient } = require('../generated/client');
+
+const prisma = new PrismaClient();
+
+// Onboarding steps per user type, in the order the app shows them. The flow is
+// complete once every required step is done; optional steps can be finished later.
+const ONBOARDING_FLOWS = {
+  creator: [
+    { key: 'basic_info', title: 'Basic info', required: true },
+    { key: 'preferences', title: 'Preferences', required: true },
+    { key: 'package', title: 'Create a package', required: true },
+    { key: 'portfolio', title: 'Portfolio', required: true },
+    { key: 'kyc', title: 'KYC', required: false }
+  ],
+  brand: [
+    { key: 'company', title: 'Company details', required: true },
+    { key: 'verification', title: 'Verify email', required: true }
+  ],
+  admin: []
+};
+
+const completedStepKeys = (user) => (Array.isArray(user.onboarding_steps) ? user.onboarding_steps : []);
+
+// Where the user is in their flow; derived only from the user row
+const getOnboardingState = (user) => {
+  const flow = ONBOARDING_FLOWS[user.user_type] || [];
+  const done = new Set(completedStepKeys(user));
+
+  const steps = flow.map(step => ({ ...step, completed: done.has(step.key) }));
+  const pending = steps.filter(step => !step.completed);
+  // Required steps come first when picking what to show next
+  const nextStep = pending.find(step => step.required) || pending[0] || null;
+
+  return {
+    flow: user.user_type,
+    steps,
+    completedSteps: steps.filter(step => step.completed).map(step => step.key),
+    pendingSteps: pending.map(step => step.key),
+    nextStep: nextStep ? nextStep.key : null,
+    completed: steps.filter(step => step.required).every(step => step.completed)
+  };
+};
+
+// Record a finished step and update onboarding_step / onboarding_completed.
+// Steps that are not part of the user's flow are ignored.
+const completeOnboardingStep = async (userId, stepKey) => {
+  const user = await prisma.user.findUnique({ where: { id: BigInt(userId) } });
+  const flow = ONBOARDING_FLOWS[user.user_type] || [];
+
+  if (!flow.some(step => step.key === stepKey) || completedStepKeys(user).includes(stepKey)) {
+    return getOnboardingState(user);
+  }
+
+  const completedSteps = [...completedStepKeys(user), stepKey];
+  const state = getOnboardingState({ ...user, onboarding_steps: completedSteps });
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      onboarding_steps: completedSteps,
+      onboarding_step: state.completedSteps.length,
+      // Never flip a finished onboarding back to incomplete
+      onboarding_completed: user.onboarding_completed || state.completed
+    }
+  });
+
+  return state;
+};
+
+module.exports = {
+  ONBOARDING_FLOWS,
+  getOnboardingState,
+  completeOnboardingStep
+};
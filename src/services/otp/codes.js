@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+const OTP_HASH_SECRET = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+// OTP values may only be logged when explicitly enabled outside production
+const isOtpDevLoggingEnabled = () => {
+  return process.env.OTP_DEV_MODE === 'true' && process.env.NODE_ENV !== 'production';
+};
+
+const generateOtp = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+// Keyed hash so stored codes cannot be brute-forced offline without the secret
+const hashOtp = (phone, code) => {
+  return crypto.createHmac('sha256', OTP_HASH_SECRET).update(`${phone}:${code}`).digest('hex');
+};
+
+const otpMatches = (phone, code, codeHash) => {
+  if (!codeHash) return false;
+  const expected = Buffer.from(codeHash, 'hex');
+  const actual = Buffer.from(hashOtp(phone, code), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  isOtpDevLoggingEnabled,
+  generateOtp,
+  hashOtp,
+  otpMatches
+};
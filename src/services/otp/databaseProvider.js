@@ -0,0 +1,37 @@
+const { PrismaClient } = require('../../generated/client');
+const { isOtpDevLoggingEnabled, generateOtp, hashOtp, otpMatches } = require('./codes');
+
+const prisma = new PrismaClient();
+
+// Generates codes itself and keeps only their hash on the PhoneVerification row.
+// Nothing is delivered; with OTP_DEV_MODE=true the code is printed to the console.
+class DatabaseOtpProvider {
+  constructor() {
+    this.name = 'database';
+  }
+
+  async sendCode(phone, verification) {
+    const code = generateOtp();
+
+    await prisma.phoneVerification.update({
+      where: { id: verification.id },
+      data: { code_hash: hashOtp(phone, code) }
+    });
+
+    if (isOtpDevLoggingEnabled()) {
+      console.log(`[OTP_DEV_MODE] OTP for ${phone}: ${code}`);
+    } else {
+      console.warn(`Database OTP provider does not deliver SMS, code for ${phone} was not sent`);
+    }
+  }
+
+  async checkCode(phone, code, verification) {
+    return otpMatches(phone, code, verification.code_hash);
+  }
+
+  async checkConfiguration() {
+    return { ok: true, details: ['Codes are stored hashed and not delivered (set OTP_DEV_MODE=true to log them)'] };
+  }
+}
+
+module.exports = DatabaseOtpProvider;
@@ -0,0 +1,11 @@
+// Error raised by OTP sending/checking; `status` is the HTTP status to respond with
+class OtpError extends Error {
+  constructor(message, status = 400, retryAfter) {
+    super(message);
+    this.name = 'OtpError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = { OtpError };
@@ -0,0 +1,42 @@
+const { generateOtp } = require('./codes');
+
+// In-memory provider for automated tests and offline development. Every code it
+// "sends" is recorded so it can be read back with `getLastCode` or `sentCodes`.
+class FakeOtpProvider {
+  constructor({ fixedCode } = {}) {
+    this.name = 'fake';
+    this.fixedCode = fixedCode || process.env.FAKE_OTP_CODE || null;
+    this.sentCodes = [];
+    this.activeCodes = new Map();
+  }
+
+  async sendCode(phone) {
+    const code = this.fixedCode || generateOtp();
+    this.sentCodes.push({ phone, code, sentAt: new Date() });
+    this.activeCodes.set(phone, code);
+  }
+
+  async checkCode(phone, code) {
+    if (this.activeCodes.get(phone) !== code) {
+      return false;
+    }
+    this.activeCodes.delete(phone);
+    return true;
+  }
+
+  getLastCode(phone) {
+    const sent = this.sentCodes.filter(entry => entry.phone === phone);
+    return sent.length ? sent[sent.length - 1].code : null;
+  }
+
+  clear() {
+    this.sentCodes = [];
+    this.activeCodes.clear();
+  }
+
+  async checkConfiguration() {
+    return { ok: true, details: ['In-memory fake provider, no SMS is sent'] };
+  }
+}
+
+module.exports = FakeOtpProvider;
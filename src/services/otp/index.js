@@ -0,0 +1,47 @@
+const DatabaseOtpProvider = require('./databaseProvider');
+const FakeOtpProvider = require('./fakeProvider');
+const TwilioVerifyOtpProvider = require('./twilioVerifyProvider');
+const { OtpError } = require('./errors');
+
+// An OTP provider is any object with:
+//   name
+//   sendCode(phone, verification)        deliver a new code for a PhoneVerification row
+//   checkCode(phone, code, verification) resolve to true when the code is correct
+//   checkConfiguration()                 resolve to { ok, details } for diagnostics
+// The provider is chosen with OTP_PROVIDER: `database`, `twilio` or `fake`. It must be
+// set in production; elsewhere it defaults to `database`.
+const providers = {
+  database: () => new DatabaseOtpProvider(),
+  twilio: () => new TwilioVerifyOtpProvider(),
+  fake: () => new FakeOtpProvider()
+};
+
+let provider = null;
+
+const getOtpProvider = () => {
+  if (!provider) {
+    if (!process.env.OTP_PROVIDER && process.env.NODE_ENV === 'production') {
+      throw new Error('OTP_PROVIDER must be set in production');
+    }
+    const name = process.env.OTP_PROVIDER || 'database';
+    if (!Object.hasOwn(providers, name)) {
+      throw new Error(`Unknown OTP provider: ${name}`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+// Replace the active provider (e.g. with a FakeOtpProvider in tests)
+const setOtpProvider = (instance) => {
+  provider = instance;
+};
+
+module.exports = {
+  OtpError,
+  DatabaseOtpProvider,
+  FakeOtpProvider,
+  TwilioVerifyOtpProvider,
+  getOtpProvider,
+  setOtpProvider
+};
@@ -0,0 +1,67 @@
+const twilio = require('twilio');
+const { OtpError } = require('./errors');
+
+// Twilio Verify generates, delivers and checks the codes; nothing is hashed locally
+class TwilioVerifyOtpProvider {
+  constructor({
+    accountSid = process.env.TWILIO_ACCOUNT_SID,
+    authToken = process.env.TWILIO_AUTH_TOKEN,
+    serviceSid = process.env.TWILIO_VERIFY_SERVICE_SID
+  } = {}) {
+    if (!accountSid || !authToken || !serviceSid) {
+      throw new Error('Twilio OTP provider requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_VERIFY_SERVICE_SID');
+    }
+
+    this.name = 'twilio';
+    this.accountSid = accountSid;
+    this.client = twilio(accountSid, authToken);
+    this.service = this.client.verify.v2.services(serviceSid);
+  }
+
+  async sendCode(phone) {
+    try {
+      await this.service.verifications.create({
+        to: phone,
+        channel: 'sms'
+      });
+      console.log(`Verification SMS sent to ${phone}`);
+    } catch (error) {
+      console.error('SMS sending failed:', error.message);
+
+      if (error.status === 429) {
+        throw new OtpError('Too many verification requests, please try again later', 429);
+      }
+      throw new OtpError('Failed to send verification code', 502);
+    }
+  }
+
+  async checkCode(phone, code) {
+    try {
+      const verificationCheck = await this.service.verificationChecks.create({
+        to: phone,
+        code
+      });
+      return verificationCheck.status === 'approved';
+    } catch (error) {
+      // Twilio answers 404 once a verification has expired, been approved or used up its attempts
+      if (error.status === 404) {
+        return false;
+      }
+      console.error('Twilio verification failed:', error.message);
+      throw new OtpError('Verification service unavailable, please try again', 502);
+    }
+  }
+
+  async checkConfiguration() {
+    const account = await this.client.api.accounts(this.accountSid).fetch();
+    const details = [`Account status: ${account.status}`, `Account type: ${account.type}`];
+
+    if (account.type === 'Trial') {
+      details.push('Trial account - can only send to verified numbers');
+    }
+
+    return { ok: account.status === 'active', details };
+  }
+}
+
+module.exports = TwilioVerifyOtpProvider;
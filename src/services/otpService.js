@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('../generated/client');
+const { OtpError, getOtpProvider } = require('./otp');
+
+const prisma = new PrismaClient();
+
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const OTP_RESEND_INTERVAL_MS = 60 * 1000; // 1 minute
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+
+// Failures allowed before a lockout, per scope. Each further lockout doubles in length.
+const LOCKOUT_THRESHOLDS = {
+  phone: parseInt(process.env.OTP_PHONE_LOCKOUT_THRESHOLD || '5', 10),
+  ip: parseInt(process.env.OTP_IP_LOCKOUT_THRESHOLD || '20', 10),
+  mfa: parseInt(process.env.MFA_LOCKOUT_THRESHOLD || '5', 10)
+};
+const LOCKOUT_BASE_MS = 60 * 1000; // 1 minute
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000; // 24 hours
+// Lockout history is forgotten after a quiet day
+const THROTTLE_RESET_MS = 24 * 60 * 60 * 1000;
+
+const findPendingVerification = (phone) => {
+  return prisma.phoneVerification.findFirst({
+    where: {
+      phone,
+      expires_at: { gt: new Date() },
+      verified_at: null,
+      invalidated_at: null
+    },
+    orderBy: { created_at: 'desc' }
+  });
+};
+
+// Count a wrong guess; the verification is invalidated after OTP_MAX_ATTEMPTS
+const countAttempt = async (verification) => {
+  const attempts = verification.attempts + 1;
+  await prisma.phoneVerification.update({
+    where: { id: verification.id },
+    data: {
+      attempts,
+      ...(attempts >= OTP_MAX_ATTEMPTS && { invalidated_at: new Date() })
+    }
+  });
+};
+
+const throttleKeys = (phone, ipAddress) => [
+  ['phone', phone],
+  ['ip', ipAddress]
+].filter(([, key]) => key);
+
+// Seconds until none of the [scope, key] pairs is locked out, or 0
+const getKeysLockoutSeconds = async (keys) => {
+  const throttles = await prisma.otpThrottle.findMany({
+    where: {
+      OR: keys.map(([scope, key]) => ({ scope, key })),
+      locked_until: { gt: new Date() }
+    }
+  });
+
+  const lockedUntil = Math.max(0, ...throttles.map(throttle => throttle.locked_until.getTime()));
+  return lockedUntil ? Math.ceil((lockedUntil - Date.now()) / 1000) : 0;
+};
+
+// Seconds until the phone and IP may try again, or 0 when neither is locked out
+const getLockoutSeconds = (phone, ipAddress) => getKeysLockoutSeconds(throttleKeys(phone, ipAddress));
+
+const assertKeysNotLockedOut = async (keys) => {
+  const lockoutSeconds = await getKeysLockoutSeconds(keys);
+  if (lockoutSeconds) {
+    throw new OtpError('Too many failed attempts, please try again later', 429, lockoutSeconds);
+  }
+};
+
+const assertNotLockedOut = (phone, ipAddress) => assertKeysNotLockedOut(throttleKeys(phone, ipAddress));
+
+const recordThrottleFailure = async (scope, key) => {
+  const throttle = await prisma.otpThrottle.upsert({
+    where: { scope_key: { scope, key } },
+    update: {},
+    create: { scope, key }
+  });
+
+  const stale = Date.now() - throttle.updated_at.getTime() > THROTTLE_RESET_MS;
+  let failedAttempts = (stale ? 0 : throttle.failed_attempts) + 1;
+  let lockoutCount = stale ? 0 : throttle.lockout_count;
+  let lockedUntil = throttle.locked_until;
+
+  if (failedAttempts >= LOCKOUT_THRESHOLDS[scope]) {
+    const lockoutMs = Math.min(LOCKOUT_BASE_MS * 2 ** lockoutCount, LOCKOUT_MAX_MS);
+    lockedUntil = new Date(Date.now() + lockoutMs);
+    lockoutCount += 1;
+    failedAttempts = 0;
+  }
+
+  await prisma.otpThrottle.update({
+    where: { id: throttle.id },
+    data: {
+      failed_attempts: failedAttempts,
+      lockout_count: lockoutCount,
+      locked_until: lockedUntil
+    }
+  });
+};
+
+// Record a failed verification against the phone number and the caller's IP
+const recordFailure = async (phone, ipAddress) => {
+  for (const [scope, key] of throttleKeys(phone, ipAddress)) {
+    await recordThrottleFailure(scope, key);
+  }
+};
+
+const clearThrottle = async (scope, key) => {
+  await prisma.otpThrottle.deleteMany({
+    where: { scope, key }
+  });
+};
+
+// A successful verification clears the phone's failure history (the IP's is kept)
+const clearFailures = (phone) => clearThrottle('phone', phone);
+
+// Start a verification for a phone and have the configured provider deliver a code.
+// Throws OtpError when locked out or asked again within the resend interval.
+const sendPhoneCode = async (phone, ipAddress) => {
+  await assertNotLockedOut(phone, ipAddress);
+
+  const recentVerification = await prisma.phoneVerification.findFirst({
+    where: {
+      phone,
+      created_at: { gt: new Date(Date.now() - OTP_RESEND_INTERVAL_MS) }
+    }
+  });
+
+  if (recentVerification) {
+    throw new OtpError('Please wait 1 minute before requesting another code', 429);
+  }
+
+  // Only the latest code for a phone is ever valid
+  await prisma.phoneVerification.updateMany({
+    where: { phone, verified_at: null, invalidated_at: null },
+    data: { invalidated_at: new Date() }
+  });
+
+  const verification = await prisma.phoneVerification.create({
+    data: {
+      phone,
+      token: crypto.randomBytes(32).toString('hex'),
+      ip_address: ipAddress || null,
+      expires_at: new Date(Date.now() + OTP_TTL_MS)
+    }
+  });
+
+  await getOtpProvider().sendCode(phone, verification);
+};
+
+// Check a code for a phone. Wrong guesses count against the verification and against
+// the phone/IP lockouts. Resolves when valid, throws OtpError otherwise.
+const verifyPhoneCode = async (phone, code, ipAddress) => {
+  await assertNotLockedOut(phone, ipAddress);
+
+  const verification = await findPendingVerification(phone);
+
+  if (!verification) {
+    await recordFailure(phone, ipAddress);
+    throw new OtpError('Invalid or expired verification code');
+  }
+
+  const valid = await getOtpProvider().checkCode(phone, code, verification);
+
+  if (!valid) {
+    await countAttempt(verification);
+    await recordFailure(phone, ipAddress);
+    throw new OtpError('Invalid or expired verification code');
+  }
+
+  await prisma.phoneVerification.update({
+    where: { id: verification.id },
+    data: { verified_at: new Date() }
+  });
+
+  await clearFailures(phone);
+};
+
+module.exports = {
+  OtpError,
+  sendPhoneCode,
+  verifyPhoneCode,
+  getLockoutSeconds,
+  assertKeysNotLockedOut,
+  recordThrottleFailure,
+  clearThrottle
+};
@@ -0,0 +1,94 @@
+const { PrismaClient } = require('../generated/client');
+
+const prisma = new PrismaClient();
+
+// Error raised for invalid package operations; `status` is the HTTP status to respond with
+class PackageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PackageError';
+    this.status = status;
+  }
+}
+
+// Statuses a package can move to from each status; archived packages are final
+const STATUS_TRANSITIONS = {
+  active: ['paused', 'archived'],
+  paused: ['active', 'archived'],
+  archived: []
+};
+
+// A creator's packages in display order; archived ones only when asked for
+const listCreatorPackages = (creatorId, { statuses = ['active', 'paused'] } = {}) => {
+  return prisma.creatorPackage.findMany({
+    where: { creator_id: creatorId, status: { in: statuses } },
+    orderBy: [{ position: 'asc' }, { created_at: 'asc' }]
+  });
+};
+
+// New packages go to the end of the creator's list
+const createPackage = async (creatorId, data) => {
+  const last = await prisma.creatorPackage.findFirst({
+    where: { creator_id: creatorId, status: { not: 'archived' } },
+    orderBy: { position: 'desc' }
+  });
+
+  return prisma.creatorPackage.create({
+    data: {
+      ...data,
+      creator_id: creatorId,
+      position: last ? last.position + 1 : 0
+    }
+  });
+};
+
+const updatePackage = async (pkg, data) => {
+  if (pkg.status === 'archived') {
+    throw new PackageError('Archived packages cannot be edited', 409);
+  }
+
+  return prisma.creatorPackage.update({
+    where: { id: pkg.id },
+    data
+  });
+};
+
+const setPackageStatus = async (pkg, status) => {
+  if (pkg.status === status) return pkg;
+
+  if (!STATUS_TRANSITIONS[pkg.status].includes(status)) {
+    throw new PackageError(`A ${pkg.status} package cannot be set to ${status}`, 409);
+  }
+
+  return prisma.creatorPackage.update({
+    where: { id: pkg.id },
+    data: { status }
+  });
+};
+
+// Set the display order; `packageIds` must list every non-archived package exactly once
+const reorderPackages = async (creatorId, packageIds) => {
+  const packages = await listCreatorPackages(creatorId);
+  const currentIds = packages.map(pkg => pkg.id.toString()).sort();
+  const requestedIds = packageIds.map(String).sort();
+
+  if (currentIds.length !== requestedIds.length || currentIds.some((id, index) => id !== requestedIds[index])) {
+    throw new PackageError('Package order must include each of your active and paused packages exactly once');
+  }
+
+  await prisma.$transaction(packageIds.map((id, index) => prisma.creatorPackage.update({
+    where: { id: BigInt(id) },
+    data: { position: index }
+  })));
+
+  return listCreatorPackages(creatorId);
+};
+
+module.exports = {
+  PackageError,
+  listCreatorPackages,
+  createPackage,
+  updatePackage,
+  setPackageStatus,
+  reorderPackages
+};
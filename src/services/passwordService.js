@@ -0,0 +1,28 @@
+const bcrypt = require('bcryptjs');
+const { body } = require('express-validator');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS || '12', 10);
+
+// Hash compared against when the account has no password, so a missing user or a
+// Google/phone-only account costs the same time as a wrong password
+const DUMMY_HASH = bcrypt.hashSync('influmojo-dummy-password', BCRYPT_ROUNDS);
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+const verifyPassword = async (password, passwordHash) => {
+  const matches = await bcrypt.compare(password, passwordHash || DUMMY_HASH);
+  return Boolean(passwordHash) && matches;
+};
+
+// Validation chain for a new password: 8-128 chars with upper, lower case and a digit
+const strongPassword = (field = 'password') => body(field)
+  .isString().withMessage('Password is required')
+  .isLength({ min: 8, max: 128 }).withMessage('Password must be 8-128 characters')
+  .isStrongPassword({ minLength: 8, minLowercase: 1, minUppercase: 1, minNumbers: 1, minSymbols: 0 })
+  .withMessage('Password must contain upper and lower case letters and a number');
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  strongPassword
+};
@@ -0,0 +1,314 @@
+const { PrismaClient } = require('../generated/client');
+const { lookupIfsc } = require('./ifscService');
+const { notifyUser } = require('./notificationService');
+
+const prisma = new PrismaClient();
+
+// New or changed payout details only become usable after this many hours, so a
+// hijacked account cannot redirect money before the owner is warned
+const PAYOUT_COOLING_PERIOD_HOURS = parseInt(process.env.PAYOUT_COOLING_PERIOD_HOURS || '48', 10);
+
+// Error raised for invalid payout method operations; `status` is the HTTP status to respond with
+class PayoutError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PayoutError';
+    this.status = status;
+  }
+}
+
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'shri', 'sri', 'smt', 'kumari', 'km']);
+
+const nameTokens = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(token => token && !HONORIFICS.has(token));
+
+// Lenient comparison of a bank account name with the KYC name: every word of the
+// shorter name must appear in the longer one (initials match a word starting with
+// that letter) and at least one full word must match
+const namesMatch = (first, second) => {
+  const [shorter, longer] = [nameTokens(first), nameTokens(second)].sort((a, b) => a.length - b.length);
+  if (shorter.length === 0) return false;
+
+  const remaining = [...longer];
+  let fullMatches = 0;
+
+  for (const token of shorter) {
+    let index = remaining.indexOf(token);
+    if (index !== -1) {
+      fullMatches++;
+    } else {
+      index = remaining.findIndex(other => (token.length === 1 && other.startsWith(token)) || (other.length === 1 && token.startsWith(other)));
+    }
+    if (index === -1) return false;
+    remaining.splice(index, 1);
+  }
+
+  return fullMatches > 0;
+};
+
+const coolingPeriodEnd = () => new Date(Date.now() + PAYOUT_COOLING_PERIOD_HOURS * 60 * 60 * 1000);
+
+const notifyPayoutChange = (user, message) => notifyUser(user, {
+  type: 'payout_details_changed',
+  title: 'Your payout details were changed',
+  message: `${message} If this was not you, contact support immediately.`
+});
+
+const listPayoutMethods = (creatorId) => {
+  return prisma.payoutMethod.findMany({
+    where: { creator_id: creatorId, removed_at: null },
+    orderBy: [{ is_primary: 'desc' }, { created_at: 'asc' }]
+  });
+};
+
+// Whether the account holder is the person on the creator's verified KYC document;
+// null when there is no verified holder name to compare with. The account name is
+// never used: the creator can change it at will.
+const matchKycHolder = (accountHolderName, kyc) => {
+  if (!kyc || kyc.status !== 'verified' || !kyc.holder_name) return null;
+  return namesMatch(accountHolderName, kyc.holder_name);
+};
+
+// Shared by bank accounts and UPI ids: creators who have ever had verified payout
+// details (removed ones included) or bank details on their KYC get a cooling period
+// on anything new, so removing the old details first does not skip it
+const createPayoutMethod = async (creatorId, user, data) => {
+  const kyc = await prisma.kYC.findUnique({ where: { creator_id: creatorId } });
+  const hasVerified = (kyc && kyc.bank_account_number) || await prisma.payoutMethod.count({
+    where: { creator_id: creatorId, status: 'verified' }
+  });
+
+  const method = await prisma.payoutMethod.create({
+    data: {
+      ...data,
+      creator_id: creatorId,
+      name_matched: matchKycHolder(data.account_holder_name, kyc),
+      usable_from: hasVerified ? coolingPeriodEnd() : new Date()
+    }
+  });
+
+  await notifyPayoutChange(user, `A new payout ${data.type === 'upi' ? 'UPI id' : 'bank account'} was added to your account.`);
+  return method;
+};
+
+const addBankAccount = async (creatorId, user, { accountNumber, ifsc, accountHolderName }) => {
+  const branch = lookupIfsc(ifsc);
+  if (!branch) {
+    throw new PayoutError('Unknown IFSC code');
+  }
+
+  const duplicate = await prisma.payoutMethod.findFirst({
+    where: { creator_id: creatorId, removed_at: null, account_number: accountNumber, ifsc_code: branch.ifsc }
+  });
+  if (duplicate) {
+    throw new PayoutError('This bank account is already added', 409);
+  }
+
+  return createPayoutMethod(creatorId, user, {
+    type: 'bank_account',
+    account_holder_name: accountHolderName,
+    account_number: accountNumber,
+    ifsc_code: branch.ifsc,
+    bank_name: branch.bank,
+    branch_name: branch.branch
+  });
+};
+
+const addUpiId = async (creatorId, user, { upiId, accountHolderName }) => {
+  const duplicate = await prisma.payoutMethod.findFirst({
+    where: { creator_id: creatorId, removed_at: null, upi_id: upiId }
+  });
+  if (duplicate) {
+    throw new PayoutError('This UPI id is already added', 409);
+  }
+
+  return createPayoutMethod(creatorId, user, {
+    type: 'upi',
+    account_holder_name: accountHolderName,
+    upi_id: upiId
+  });
+};
+
+// Bank details for the KYC record, where payouts read them from: the primary bank
+// account's, or none when the primary method is a UPI id or there is none
+const kycBankFields = (method) => {
+  const bank = method && method.type === 'bank_account' ? method : {};
+  return {
+    bank_account_number: bank.account_number || null,
+    bank_ifsc_code: bank.ifsc_code || null,
+    bank_account_holder: bank.account_holder_name || null,
+    bank_name: bank.bank_name || null
+  };
+};
+
+const mirrorToKyc = (tx, creatorId, method) => {
+  return tx.kYC.update({
+    where: { creator_id: creatorId },
+    data: kycBankFields(method)
+  });
+};
+
+// Make a verified method the one payouts go to. Its details reach the KYC record
+// once the method is usable; until then payouts keep going to the previous details.
+const setPrimaryPayoutMethod = async (method, user, { notify = true } = {}) => {
+  if (method.status !== 'verified') {
+    throw new PayoutError('Only verified payout methods can be made primary', 409);
+  }
+  if (method.is_primary) return method;
+
+  const previousPrimary = await prisma.payoutMethod.findFirst({
+    where: { creator_id: method.creator_id, removed_at: null, is_primary: true }
+  });
+
+  const updated = await prisma.$transaction(async (tx) => {
+    await tx.payoutMethod.updateMany({
+      where: { creator_id: method.creator_id, is_primary: true },
+      data: { is_primary: false }
+    });
+
+    const primary = await tx.payoutMethod.update({
+      where: { id: method.id },
+      data: {
+        is_primary: true,
+        // Switching away from existing details restarts the cooling period
+        ...(previousPrimary && method.usable_from < coolingPeriodEnd() && { usable_from: coolingPeriodEnd() })
+      }
+    });
+
+    if (primary.usable_from <= new Date()) {
+      await mirrorToKyc(tx, primary.creator_id, primary);
+    }
+    return primary;
+  });
+
+  if (notify && previousPrimary) {
+    await notifyPayoutChange(user, 'Your primary payout method was changed.');
+  }
+  return updated;
+};
+
+// The first verified method becomes primary
+const primaryIfFirst = async (method, user) => {
+  const hasPrimary = await prisma.payoutMethod.count({
+    where: { creator_id: method.creator_id, removed_at: null, is_primary: true }
+  });
+
+  return hasPrimary ? method : setPrimaryPayoutMethod(method, user, { notify: false });
+};
+
+// Verify a method once the creator's KYC is verified and the names match. When the
+// KYC record has no holder name to match against, the method goes to an admin for
+// review instead.
+const verifyPayoutMethod = async (method, user) => {
+  if (method.status !== 'pending') return method;
+
+  const kyc = await prisma.kYC.findUnique({ where: { creator_id: method.creator_id } });
+  if (!kyc || kyc.status !== 'verified') {
+    throw new PayoutError('Complete KYC verification before verifying payout details', 409);
+  }
+
+  const nameMatched = matchKycHolder(method.account_holder_name, kyc);
+  if (nameMatched === false) {
+    throw new PayoutError('Account holder name does not match the name on your KYC document', 422);
+  }
+  if (nameMatched === null) {
+    return prisma.payoutMethod.update({
+      where: { id: method.id },
+      data: { status: 'in_review', name_matched: null }
+    });
+  }
+
+  const verified = await prisma.payoutMethod.update({
+    where: { id: method.id },
+    data: { status: 'verified', verified_at: new Date(), name_matched: true }
+  });
+
+  return primaryIfFirst(verified, user);
+};
+
+// Admin decision on a method sent for review; `user` is the creator's account
+const approvePayoutMethod = async (method, user) => {
+  if (method.status !== 'in_review') {
+    throw new PayoutError('Payout method is not awaiting review', 409);
+  }
+
+  const verified = await prisma.payoutMethod.update({
+    where: { id: method.id },
+    data: { status: 'verified', verified_at: new Date() }
+  });
+
+  return primaryIfFirst(verified, user);
+};
+
+// Methods awaiting manual review, oldest first, with the creator and their KYC record
+const listPayoutMethodsInReview = async ({ page = 1, limit = 20 }) => {
+  const where = { status: 'in_review', removed_at: null };
+
+  const [total, methods] = await prisma.$transaction([
+    prisma.payoutMethod.count({ where }),
+    prisma.payoutMethod.findMany({
+      where,
+      include: { creator: { include: { user: true, kyc: true } } },
+      orderBy: { updated_at: 'asc' },
+      skip: (page - 1) * limit,
+      take: limit
+    })
+  ]);
+
+  return { total, methods };
+};
+
+// Removing the primary method also clears the bank details payouts go to
+const removePayoutMethod = async (method, user) => {
+  await prisma.$transaction(async (tx) => {
+    await tx.payoutMethod.update({
+      where: { id: method.id },
+      data: { removed_at: new Date(), is_primary: false }
+    });
+
+    if (method.is_primary) {
+      await mirrorToKyc(tx, method.creator_id, null);
+    }
+  });
+
+  await notifyPayoutChange(user, `A payout ${method.type === 'upi' ? 'UPI id' : 'bank account'} was removed from your account.`);
+};
+
+// Copy primary methods whose cooling period has ended onto their KYC record;
+// returns how many were applied
+const applyDuePayoutMethods = async () => {
+  const methods = await prisma.payoutMethod.findMany({
+    where: { removed_at: null, is_primary: true, usable_from: { lte: new Date() } },
+    include: { creator: { include: { kyc: true } } }
+  });
+
+  let applied = 0;
+  for (const method of methods) {
+    const { kyc } = method.creator;
+    const fields = kycBankFields(method);
+    if (!kyc || Object.entries(fields).every(([field, value]) => kyc[field] === value)) continue;
+
+    await mirrorToKyc(prisma, method.creator_id, method);
+    applied++;
+  }
+
+  return applied;
+};
+
+module.exports = {
+  PAYOUT_COOLING_PERIOD_HOURS,
+  PayoutError,
+  namesMatch,
+  listPayoutMethods,
+  addBankAccount,
+  addUpiId,
+  verifyPayoutMethod,
+  approvePayoutMethod,
+  listPayoutMethodsInReview,
+  setPrimaryPayoutMethod,
+  removePayoutMethod,
+  applyDuePayoutMethods
+};
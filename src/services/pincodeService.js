@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bundled dataset: canonical state names, common alternative spellings, the states
+// each pincode prefix is used in, and city/district/state for every pincode in the
+// India Post directory (as packaged by the india-pincode npm module, MIT). Refresh
+// the pincodes from a newer directory CSV with `npm run pincodes:import`, or point
+// PINCODE_DATASET_FILE at another file.
+const DEFAULT_DATASET = path.join(__dirname, '../data/pincodes.json');
+
+// Six digits, never starting with 0 (9 is the Army Postal Service)
+const PINCODE_PATTERN = /^[1-8][0-9]{5}$/;
+
+let dataset = null;
+
+const getDataset = () => {
+  if (!dataset) {
+    dataset = JSON.parse(fs.readFileSync(process.env.PINCODE_DATASET_FILE || DEFAULT_DATASET, 'utf8'));
+  }
+  return dataset;
+};
+
+const normalizePincode = (pincode) => String(pincode || '').replace(/\s+/g, '');
+
+const simplify = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const titleCase = (value) => simplify(value).replace(/\b\w/g, char => char.toUpperCase());
+
+// Canonical state or union territory name, or null if not recognised
+const normalizeState = (state) => {
+  const { states, stateAliases } = getDataset();
+  const key = simplify(state);
+  return states.find(name => name.toLowerCase() === key) || stateAliases[key] || null;
+};
+
+// Current name for a city, e.g. "bangalore" -> "Bengaluru"
+const normalizeCity = (city) => getDataset().cityAliases[simplify(city)] || titleCase(city);
+
+// City, district and state for a pincode, or null when it is not in the dataset
+const lookupPincode = (pincode) => {
+  pincode = normalizePincode(pincode);
+  if (!PINCODE_PATTERN.test(pincode)) return null;
+
+  const entry = getDataset().pincodes[pincode];
+  return entry ? { pincode, ...entry } : null;
+};
+
+// States a pincode can belong to, from its longest matching prefix
+const statesForPincode = (pincode) => {
+  const { prefixes } = getDataset();
+  for (let length = 3; length >= 2; length--) {
+    const states = prefixes[pincode.slice(0, length)];
+    if (states) return states;
+  }
+  return [];
+};
+
+// A city matches the pincode's city or district ("Bengaluru" for "Bengaluru Urban")
+const cityMatches = (city, entry) => {
+  const name = simplify(normalizeCity(city));
+  return [entry.city, entry.district].some(candidate => {
+    const value = simplify(candidate);
+    return value === name || value.startsWith(`${name} `);
+  });
+};
+
+// Why a pincode/city/state combination is not consistent, or null if it is.
+// City and state are optional; only the ones given are checked.
+const locationError = ({ pincode, city, state }) => {
+  pincode = normalizePincode(pincode);
+  if (!PINCODE_PATTERN.test(pincode)) {
+    return 'Enter a valid 6-digit pincode';
+  }
+
+  const possibleStates = statesForPincode(pincode);
+  if (!possibleStates.length) {
+    return 'Pincode is not a valid Indian pincode';
+  }
+
+  const canonicalState = state ? normalizeState(state) : null;
+  if (state && !canonicalState) {
+    return 'State is not a valid Indian state or union territory';
+  }
+
+  const entry = lookupPincode(pincode);
+  if (entry) {
+    if (canonicalState && canonicalState !== entry.state) {
+      return `Pincode ${pincode} is in ${entry.state}, not ${canonicalState}`;
+    }
+    if (city && !cityMatches(city, entry)) {
+      return `Pincode ${pincode} is in ${entry.city}, not ${normalizeCity(city)}`;
+    }
+  } else if (canonicalState && !possibleStates.includes(canonicalState)) {
+    return `Pincode ${pincode} is not in ${canonicalState}`;
+  }
+
+  return null;
+};
+
+// Canonical { pincode, city, district, state } for a location that passed
+// locationError; values from the dataset win over what was typed
+const normalizeLocation = ({ pincode, city, state }) => {
+  pincode = normalizePincode(pincode);
+  const entry = lookupPincode(pincode);
+
+  if (entry) {
+    return entry;
+  }
+
+  return {
+    pincode,
+    city: city ? normalizeCity(city) : null,
+    district: null,
+    state: state ? normalizeState(state) : null
+  };
+};
+
+module.exports = {
+  PINCODE_PATTERN,
+  normalizePincode,
+  normalizeState,
+  normalizeCity,
+  lookupPincode,
+  locationError,
+  normalizeLocation
+};
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('../generated/client');
+const { getProfileFetcher } = require('./socialFetchers');
+
+const prisma = new PrismaClient();
+
+const VERIFICATION_CODE_TTL_HOURS = parseInt(process.env.SOCIAL_VERIFICATION_CODE_TTL_HOURS || '24', 10);
+// No 0/O or 1/I, so the code is easy to copy into a bio
+const VERIFICATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Error raised for invalid social account operations; `status` is the HTTP status to respond with
+class SocialAccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SocialAccountError';
+    this.status = status;
+  }
+}
+
+// Per platform: what a username looks like, how to find it in a profile URL and
+// the canonical profile URL we store
+const PLATFORMS = {
+  instagram: {
+    username: /^[a-z0-9._]{1,30}$/,
+    lowercase: true,
+    hosts: ['instagram.com'],
+    fromPath: (segments) => segments[0],
+    url: (username) => `https://www.instagram.com/${username}/`
+  },
+  tiktok: {
+    username: /^[a-z0-9._]{2,24}$/,
+    lowercase: true,
+    hosts: ['tiktok.com'],
+    fromPath: (segments) => segments[0] && segments[0].startsWith('@') ? segments[0] : null,
+    url: (username) => `https://www.tiktok.com/@${username}`
+  },
+  youtube: {
+    // Either a @handle or a channel id (UC + 22 characters)
+    username: /^(?:[A-Za-z0-9._-]{3,30}|UC[A-Za-z0-9_-]{22})$/,
+    lowercase: false,
+    hosts: ['youtube.com'],
+    fromPath: (segments) => {
+      if (segments[0] && segments[0].startsWith('@')) return segments[0];
+      return segments[0] === 'channel' ? segments[1] : null;
+    },
+    url: (username) => (/^UC[A-Za-z0-9_-]{22}$/.test(username)
+      ? `https://www.youtube.com/channel/${username}`
+      : `https://www.youtube.com/@${username}`)
+  },
+  twitter: {
+    username: /^[a-z0-9_]{1,15}$/,
+    lowercase: true,
+    hosts: ['twitter.com', 'x.com'],
+    fromPath: (segments) => segments[0],
+    url: (username) => `https://x.com/${username}`
+  },
+  facebook: {
+    username: /^[a-z0-9.]{5,50}$/,
+    lowercase: true,
+    hosts: ['facebook.com', 'fb.com'],
+    fromPath: (segments) => segments[0],
+    url: (username) => `https://www.facebook.com/${username}`
+  }
+};
+
+// Accept a username, "@username" or a profile URL and return the canonical
+// { username, url } for the platform
+const normalizeSocialAccount = (platform, input) => {
+  const rules = PLATFORMS[platform];
+  if (!rules) {
+    throw new SocialAccountError(`Unsupported platform: ${platform}`);
+  }
+
+  let value = String(input || '').trim();
+
+  if (/^(https?:\/\/)?([a-z0-9-]+\.)*[a-z0-9-]+\.[a-z]{2,}\//i.test(value)) {
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    } catch (error) {
+      throw new SocialAccountError('Invalid profile URL');
+    }
+
+    const host = url.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+    if (!rules.hosts.includes(host)) {
+      throw new SocialAccountError(`Profile URL must be on ${rules.hosts.join(' or ')}`);
+    }
+
+    value = rules.fromPath(url.pathname.split('/').filter(Boolean)) || '';
+  }
+
+  value = value.replace(/^@/, '');
+  if (rules.lowercase) value = value.toLowerCase();
+
+  if (!rules.username.test(value)) {
+    throw new SocialAccountError(`Invalid ${platform} username`);
+  }
+
+  return { username: value, url: rules.url(value) };
+};
+
+// Keep CreatorProfile.follower_count and social_platforms in step with the accounts
+const syncCreatorSocialSummary = async (creatorId, client = prisma) => {
+  const accounts = await client.socialMediaAccount.findMany({
+    where: { creator_id: creatorId },
+    select: { platform: true, follower_count: true }
+  });
+
+  return client.creatorProfile.update({
+    where: { id: creatorId },
+    data: {
+      follower_count: accounts.reduce((total, account) => total + account.follower_count, 0n),
+      social_platforms: accounts.map(account => account.platform)
+    }
+  });
+};
+
+const statsData = ({ followerCount = 0, engagementRate = 0, avgViews = 0 }) => ({
+  follower_count: BigInt(followerCount),
+  engagement_rate: String(engagementRate),
+  avg_views: BigInt(avgViews)
+});
+
+const listSocialAccounts = (creatorId) => {
+  return prisma.socialMediaAccount.findMany({
+    where: { creator_id: creatorId },
+    orderBy: { created_at: 'asc' }
+  });
+};
+
+const addSocialAccount = async (creatorId, { platform, handle, ...stats }) => {
+  const { username, url } = normalizeSocialAccount(platform, handle);
+
+  const existing = await prisma.socialMediaAccount.findUnique({
+    where: { creator_id_platform: { creator_id: creatorId, platform } }
+  });
+  if (existing) {
+    throw new SocialAccountError(`You already have a ${platform} account; edit it instead`, 409);
+  }
+
+  const data = statsData(stats);
+
+  return prisma.$transaction(async (tx) => {
+    const account = await tx.socialMediaAccount.create({
+      data: { creator_id: creatorId, platform, username, url, ...data }
+    });
+    await tx.socialAccountStat.create({ data: { account_id: account.id, ...data } });
+    await syncCreatorSocialSummary(creatorId, tx);
+    return account;
+  });
+};
+
+// Change the username; a different account has to be verified again
+const updateSocialAccountHandle = async (account, handle) => {
+  const { username, url } = normalizeSocialAccount(account.platform, handle);
+  if (username === account.username) return account;
+
+  return prisma.socialMediaAccount.update({
+    where: { id: account.id },
+    data: {
+      username,
+      url,
+      verified: false,
+      verified_at: null,
+      verification_method: null,
+      verification_code: null,
+      verification_code_expires_at: null
+    }
+  });
+};
+
+// Manually entered stats: update the account, keep the snapshot and roll up totals
+const recordSocialStats = async (account, stats) => {
+  const data = statsData({
+    followerCount: account.follower_count,
+    engagementRate: account.engagement_rate,
+    avgViews: account.avg_views,
+    ...stats
+  });
+
+  return prisma.$transaction(async (tx) => {
+    const updated = await tx.socialMediaAccount.update({
+      where: { id: account.id },
+      data: { ...data, last_updated: new Date() }
+    });
+    await tx.socialAccountStat.create({ data: { account_id: account.id, ...data } });
+    await syncCreatorSocialSummary(account.creator_id, tx);
+    return updated;
+  });
+};
+
+const listSocialStats = (accountId, { limit = 30 } = {}) => {
+  return prisma.socialAccountStat.findMany({
+    where: { account_id: accountId },
+    orderBy: { recorded_at: 'desc' },
+    take: limit
+  });
+};
+
+// Issue a one-time code for the creator to put in their bio or channel description;
+// asking again replaces the previous code
+const startSocialVerification = async (account) => {
+  if (account.verified) {
+    throw new SocialAccountError('Account is already verified', 409);
+  }
+
+  const code = 'IM-' + Array.from({ length: 6 }, () => (
+    VERIFICATION_CODE_ALPHABET[crypto.randomInt(VERIFICATION_CODE_ALPHABET.length)]
+  )).join('');
+
+  return prisma.socialMediaAccount.update({
+    where: { id: account.id },
+    data: {
+      verification_code: code,
+      verification_code_expires_at: new Date(Date.now() + VERIFICATION_CODE_TTL_HOURS * 60 * 60 * 1000)
+    }
+  });
+};
+
+// Look for the code on the public profile. Once found the account is verified and
+// any other creator's verified claim on the same profile is withdrawn.
+const checkSocialVerification = async (account) => {
+  if (account.verified) return account;
+
+  if (!account.verification_code || account.verification_code_expires_at <= new Date()) {
+    throw new SocialAccountError('No active verification code; request a new one', 409);
+  }
+
+  let text;
+  try {
+    text = await getProfileFetcher().fetchProfileText(account.platform, account.username, account.url);
+  } catch (error) {
+    console.error('Social profile fetch error:', error);
+    throw new SocialAccountError('Could not load the profile right now; try again later', 502);
+  }
+
+  if (text === null) {
+    throw new SocialAccountError('Profile not found; check the username', 404);
+  }
+  if (!text.toUpperCase().includes(account.verification_code)) {
+    throw new SocialAccountError('Verification code not found on the profile yet', 422);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.socialMediaAccount.updateMany({
+      where: {
+        platform: account.platform,
+        username: account.username,
+        verified: true,
+        id: { not: account.id }
+      },
+      data: { verified: false, verified_at: null, verification_method: null }
+    });
+
+    return tx.socialMediaAccount.update({
+      where: { id: account.id },
+      data: {
+        verified: true,
+        verified_at: new Date(),
+        verification_method: 'bio_code',
+        verification_code: null,
+        verification_code_expires_at: null
+      }
+    });
+  });
+};
+
+const removeSocialAccount = async (account) => {
+  await prisma.$transaction(async (tx) => {
+    await tx.socialAccountStat.deleteMany({ where: { account_id: account.id } });
+    await tx.socialMediaAccount.delete({ where: { id: account.id } });
+    await syncCreatorSocialSummary(account.creator_id, tx);
+  });
+};
+
+module.exports = {
+  SocialAccountError,
+  normalizeSocialAccount,
+  syncCreatorSocialSummary,
+  listSocialAccounts,
+  addSocialAccount,
+  updateSocialAccountHandle,
+  recordSocialStats,
+  listSocialStats,
+  startSocialVerification,
+  checkSocialVerification,
+  removeSocialAccount
+};
@@ -0,0 +1,29 @@
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+// Fetches the public profile page; bios and channel descriptions are part of the
+// page (and its meta tags), so the verification code can be found in the HTML.
+class HttpProfileFetcher {
+  constructor() {
+    this.name = 'http';
+  }
+
+  async fetchProfileText(platform, username, url) {
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': process.env.SOCIAL_FETCHER_USER_AGENT || 'Mozilla/5.0 (compatible; InfluMojoBot/1.0)',
+        'Accept-Language': 'en'
+      },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Profile page returned ${response.status}`);
+    }
+
+    return response.text();
+  }
+}
+
+module.exports = HttpProfileFetcher;
@@ -0,0 +1,38 @@
+const StubProfileFetcher = require('./stubFetcher');
+const HttpProfileFetcher = require('./httpFetcher');
+
+// A profile fetcher is any object with:
+//   name
+//   fetchProfileText(platform, username, url) resolve to the profile's public text
+//                                             (bio, channel description) or null
+// The fetcher is chosen with SOCIAL_FETCHER: `stub` or `http`. It defaults to `stub` in
+// development and to `http` everywhere else, so unset production config never uses the stub.
+const fetchers = {
+  stub: () => new StubProfileFetcher(),
+  http: () => new HttpProfileFetcher()
+};
+
+let fetcher = null;
+
+const getProfileFetcher = () => {
+  if (!fetcher) {
+    const name = process.env.SOCIAL_FETCHER || (process.env.NODE_ENV === 'development' ? 'stub' : 'http');
+    if (!Object.hasOwn(fetchers, name)) {
+      throw new Error(`Unknown social profile fetcher: ${name}`);
+    }
+    fetcher = fetchers[name]();
+  }
+  return fetcher;
+};
+
+// Replace the active fetcher (e.g. with a StubProfileFetcher in tests)
+const setProfileFetcher = (instance) => {
+  fetcher = instance;
+};
+
+module.exports = {
+  StubProfileFetcher,
+  HttpProfileFetcher,
+  getProfileFetcher,
+  setProfileFetcher
+};
@@ -0,0 +1,31 @@
+const fs = require('fs');
+
+// Offline fetcher for development and automated tests. Profile text comes from
+// `setProfileText` or from the JSON file named by SOCIAL_STUB_PROFILES_FILE:
+// { "instagram:priya.sharma": "bio text ..." }
+class StubProfileFetcher {
+  constructor({ file } = {}) {
+    this.name = 'stub';
+    this.profiles = new Map();
+
+    const profilesFile = file || process.env.SOCIAL_STUB_PROFILES_FILE;
+    if (profilesFile) {
+      Object.entries(JSON.parse(fs.readFileSync(profilesFile, 'utf8')))
+        .forEach(([key, text]) => this.profiles.set(key, text));
+    }
+  }
+
+  setProfileText(platform, username, text) {
+    this.profiles.set(`${platform}:${username}`, text);
+  }
+
+  async fetchProfileText(platform, username) {
+    return this.profiles.get(`${platform}:${username}`) || null;
+  }
+
+  clear() {
+    this.profiles.clear();
+  }
+}
+
+module.exports = StubProfileFetcher;
@@ -0,0 +1,39 @@
+const LocalDiskStorage = require('./localDiskStorage');
+
+// A storage backend is any object with `name`, `save(key, buffer)`,
+// `createReadStream(key)` and `remove(key)`. It is chosen with STORAGE_DRIVER;
+// `local` (default) keeps files on disk. Each area (`public`, `private`) gets its
+// own backend instance so private files can live in a separate location.
+const drivers = {
+  local: (area) => new LocalDiskStorage({ area })
+};
+
+const STORAGE_AREAS = ['public', 'private'];
+
+const storages = new Map();
+
+const getStorage = (area = 'public') => {
+  if (!STORAGE_AREAS.includes(area)) {
+    throw new Error(`Unknown storage area: ${area}`);
+  }
+  if (!storages.has(area)) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storages.set(area, drivers[driver](area));
+  }
+  return storages.get(area);
+};
+
+// Replace the storage backend of an area (e.g. with object storage or a test double)
+const setStorage = (instance, area = 'public') => {
+  storages.set(area, instance);
+};
+
+module.exports = {
+  LocalDiskStorage,
+  STORAGE_AREAS,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Storage backend that keeps files in a directory on the local disk. The private
+// area (KYC documents, attachments) uses a separate directory that is never served
+// directly. Set MEDIA_STORAGE_DIR and MEDIA_PRIVATE_STORAGE_DIR to persistent
+// locations outside development.
+class LocalDiskStorage {
+  constructor({ directory, area = 'public' } = {}) {
+    this.name = 'local';
+    this.area = area;
+    this.directory = directory || (area === 'private'
+      ? process.env.MEDIA_PRIVATE_STORAGE_DIR || path.join(os.tmpdir(), 'influmojo-media-private')
+      : process.env.MEDIA_STORAGE_DIR || path.join(os.tmpdir(), 'influmojo-media'));
+  }
+
+  // Keys are generated by the server, but never let one escape the storage directory
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(path.resolve(this.directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  }
+
+  // Readable stream of the stored file
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('../generated/client');
+
+const prisma = new PrismaClient();
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10); // 15 minutes
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+// Error raised for refresh/session problems; `status` is the HTTP status to respond with
+class TokenError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'TokenError';
+    this.status = status;
+  }
+}
+
+// Refresh tokens are opaque; only their SHA-256 hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId: userId.toString(), sid: sessionId.toString(), type: 'access' },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+};
+
+// Verify an access token and return its claims; throws on bad signature, expiry or wrong type
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.type !== 'access' || !decoded.sid) {
+    throw new TokenError('Invalid token');
+  }
+  return decoded;
+};
+
+// Create a refresh token row for a session and return the raw token
+const createRefreshToken = async (sessionId, expiresAt, client = prisma) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  await client.refreshToken.create({
+    data: {
+      session_id: sessionId,
+      token_hash: hashToken(token),
+      expires_at: expiresAt
+    }
+  });
+  return token;
+};
+
+const buildTokens = (userId, sessionId, refreshToken) => ({
+  accessToken: signAccessToken(userId, sessionId),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  sessionId: sessionId.toString()
+});
+
+// Start a new session (one per device sign-in) and issue its first token pair
+const createSession = async (userId, { deviceName, userAgent, ipAddress } = {}) => {
+  const expiresAt = refreshTokenExpiry();
+
+  const { session, refreshToken } = await prisma.$transaction(async (tx) => {
+    const session = await tx.userSession.create({
+      data: {
+        user_id: BigInt(userId),
+        device_name: deviceName || null,
+        user_agent: userAgent || null,
+        ip_address: ipAddress || null,
+        expires_at: expiresAt
+      }
+    });
+    const refreshToken = await createRefreshToken(session.id, expiresAt, tx);
+    return { session, refreshToken };
+  });
+
+  return buildTokens(userId, session.id, refreshToken);
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await prisma.userSession.updateMany({
+    where: { id: BigInt(sessionId), revoked_at: null },
+    data: { revoked_at: new Date(), revoked_reason: reason }
+  });
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g. the current device)
+const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+  const result = await prisma.userSession.updateMany({
+    where: {
+      user_id: BigInt(userId),
+      revoked_at: null,
+      ...(exceptSessionId && { id: { not: BigInt(exceptSessionId) } })
+    },
+    data: { revoked_at: new Date(), revoked_reason: reason }
+  });
+  return result.count;
+};
+
+// Exchange a refresh token for a new pair. Each refresh token is single-use; presenting one
+// that was already rotated means it leaked, so the whole session (token family) is revoked.
+const rotateRefreshToken = async (token, { userAgent, ipAddress } = {}) => {
+  const record = await prisma.refreshToken.findUnique({
+    where: { token_hash: hashToken(token) },
+    include: { session: { include: { user: true } } }
+  });
+
+  if (!record) {
+    throw new TokenError('Invalid refresh token');
+  }
+
+  const { session } = record;
+
+  if (session.revoked_at) {
+    throw new TokenError('Session has been revoked');
+  }
+
+  if (record.used_at) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    throw new TokenError('Refresh token reuse detected, session revoked');
+  }
+
+  if (record.expires_at <= new Date() || session.expires_at <= new Date()) {
+    throw new TokenError('Refresh token expired');
+  }
+
+  if (session.user.status === 'suspended') {
+    await revokeSession(session.id, 'user_suspended');
+    throw new TokenError('Account suspended', 403);
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await prisma.refreshToken.updateMany({
+    where: { id: record.id, used_at: null },
+    data: { used_at: new Date() }
+  });
+
+  if (claimed.count === 0) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    throw new TokenError('Refresh token reuse detected, session revoked');
+  }
+
+  const expiresAt = refreshTokenExpiry();
+  const refreshToken = await createRefreshToken(session.id, expiresAt);
+
+  await prisma.userSession.update({
+    where: { id: session.id },
+    data: {
+      last_used_at: new Date(),
+      expires_at: expiresAt,
+      ...(userAgent && { user_agent: userAgent }),
+      ...(ipAddress && { ip_address: ipAddress })
+    }
+  });
+
+  return {
+    user: session.user,
+    ...buildTokens(session.user_id, session.id, refreshToken)
+  };
+};
+
+// Returns the session if it is still active for this user, otherwise null
+const findActiveSession = async (sessionId, userId) => {
+  return prisma.userSession.findFirst({
+    where: {
+      id: BigInt(sessionId),
+      user_id: BigInt(userId),
+      revoked_at: null,
+      expires_at: { gt: new Date() }
+    }
+  });
+};
+
+const listSessions = async (userId) => {
+  return prisma.userSession.findMany({
+    where: {
+      user_id: BigInt(userId),
+      revoked_at: null,
+      expires_at: { gt: new Date() }
+    },
+    orderBy: { last_used_at: 'desc' }
+  });
+};
+
+module.exports = {
+  TokenError,
+  verifyAccessToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findActiveSession,
+  listSessions
+};
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('../generated/client');
+const { OtpError } = require('./otp');
+const { assertKeysNotLockedOut, recordThrottleFailure, clearThrottle } = require('./otpService');
+
+const prisma = new PrismaClient();
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Influ Mojo';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step either side for clock drift
+const BACKUP_CODE_COUNT = 10;
+const MFA_CHALLENGE_TTL_SECONDS = 5 * 60;
+const MFA_CHALLENGE_MAX_ATTEMPTS = parseInt(process.env.MFA_CHALLENGE_MAX_ATTEMPTS || '5', 10);
+const BACKUP_CODE_HASH_SECRET = process.env.OTP_HASH_SECRET || JWT_SECRET;
+
+// 32-byte key for encrypting TOTP secrets at rest
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// RFC 6238 code for a base32 secret at a given time step
+const totpAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+// Return the matching time step for a code, or null
+const matchTotp = (secret, code) => {
+  const step = currentStep();
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const expected = Buffer.from(totpAt(secret, step + offset));
+    const actual = Buffer.from(String(code));
+    if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+      return step + offset;
+    }
+  }
+  return null;
+};
+
+const normalizeBackupCode = (code) => code.replace(/-/g, '').toLowerCase();
+
+// Keyed hash so stored codes cannot be brute-forced offline without the secret
+const hashBackupCode = (userId, code) => {
+  return crypto.createHmac('sha256', BACKUP_CODE_HASH_SECRET)
+    .update(`${userId}:${normalizeBackupCode(code)}`)
+    .digest('hex');
+};
+
+// Unkeyed hash used before backup codes were keyed; matched until the codes are regenerated
+const legacyHashBackupCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+};
+
+// Admins must use 2FA; anyone else only once they have enabled it
+const requiresSecondFactor = (user) => user.totp_enabled || user.user_type === 'admin';
+
+// Start enrollment: store a new (not yet enabled) secret and return provisioning details
+const beginEnrollment = async (user) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email || user.phone || user.id.toString()}`);
+  const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      totp_secret: encryptSecret(secret),
+      totp_enabled: false,
+      totp_last_step: null
+    }
+  });
+
+  return { secret, otpauthUri };
+};
+
+// Replace the user's backup codes and return the new plain codes (shown once)
+const regenerateBackupCodes = async (userId) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await prisma.$transaction([
+    prisma.twoFactorBackupCode.deleteMany({ where: { user_id: userId } }),
+    prisma.twoFactorBackupCode.createMany({
+      data: codes.map(code => ({ user_id: userId, code_hash: hashBackupCode(userId, code) }))
+    })
+  ]);
+
+  return codes;
+};
+
+// Check a TOTP code for the user's stored secret, refusing codes already used
+const verifyTotpCode = async (user, code) => {
+  if (!user.totp_secret) return false;
+
+  const step = matchTotp(decryptSecret(user.totp_secret), code);
+  if (step === null || (user.totp_last_step !== null && step <= user.totp_last_step)) {
+    return false;
+  }
+
+  // Record the step atomically so the same code cannot be used twice concurrently
+  const updated = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [{ totp_last_step: null }, { totp_last_step: { lt: step } }]
+    },
+    data: { totp_last_step: step }
+  });
+
+  return updated.count === 1;
+};
+
+const consumeBackupCode = async (userId, code) => {
+  const updated = await prisma.twoFactorBackupCode.updateMany({
+    where: {
+      user_id: userId,
+      code_hash: { in: [hashBackupCode(userId, code), legacyHashBackupCode(code)] },
+      used_at: null
+    },
+    data: { used_at: new Date() }
+  });
+  return updated.count === 1;
+};
+
+const checkSecondFactor = async (user, { code, backupCode }) => {
+  if (code) return verifyTotpCode(user, code);
+  if (backupCode) return consumeBackupCode(user.id, backupCode);
+  return false;
+};
+
+// Accept either a TOTP code or an unused backup code. Wrong guesses count towards a
+// per-user lockout; throws OtpError while the user is locked out.
+const verifySecondFactor = async (user, factors) => {
+  const key = user.id.toString();
+  await assertKeysNotLockedOut([['mfa', key]]);
+
+  if (!(await checkSecondFactor(user, factors))) {
+    await recordThrottleFailure('mfa', key);
+    return false;
+  }
+
+  await clearThrottle('mfa', key);
+  return true;
+};
+
+// As verifySecondFactor, for a factor sent with a sign-in challenge. The challenge stops
+// working after MFA_CHALLENGE_MAX_ATTEMPTS wrong guesses.
+const verifyChallengeSecondFactor = async (challenge, user, factors) => {
+  const where = { scope_key: { scope: 'mfa_challenge', key: challenge.jti } };
+  const throttle = await prisma.otpThrottle.findUnique({ where });
+
+  if (throttle && throttle.failed_attempts >= MFA_CHALLENGE_MAX_ATTEMPTS) {
+    throw new OtpError('Invalid or expired challenge', 401);
+  }
+
+  if (await verifySecondFactor(user, factors)) {
+    return true;
+  }
+
+  await prisma.otpThrottle.upsert({
+    where,
+    update: { failed_attempts: { increment: 1 } },
+    create: { scope: 'mfa_challenge', key: challenge.jti, failed_attempts: 1 }
+  });
+  return false;
+};
+
+const enableTwoFactor = async (user, code) => {
+  if (!(await verifyTotpCode(user, code))) {
+    return null;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { totp_enabled: true, totp_enabled_at: new Date() }
+  });
+
+  return regenerateBackupCodes(user.id);
+};
+
+const disableTwoFactor = async (userId) => {
+  await prisma.$transaction([
+    prisma.twoFactorBackupCode.deleteMany({ where: { user_id: userId } }),
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        totp_secret: null,
+        totp_enabled: false,
+        totp_enabled_at: null,
+        totp_last_step: null
+      }
+    })
+  ]);
+};
+
+// Short-lived token proving the first factor passed; exchanged for a session after 2FA
+const createMfaChallenge = (user, { deviceName } = {}) => {
+  return jwt.sign(
+    {
+      userId: user.id.toString(),
+      type: 'mfa_challenge',
+      enroll: !user.totp_enabled,
+      deviceName
+    },
+    JWT_SECRET,
+    { expiresIn: MFA_CHALLENGE_TTL_SECONDS, jwtid: crypto.randomUUID() }
+  );
+};
+
+// Returns the challenge claims or null if the token is invalid or expired
+const verifyMfaChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.type === 'mfa_challenge' && decoded.jti ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const remainingBackupCodes = (userId) => {
+  return prisma.twoFactorBackupCode.count({ where: { user_id: userId, used_at: null } });
+};
+
+module.exports = {
+  requiresSecondFactor,
+  beginEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifySecondFactor,
+  verifyChallengeSecondFactor,
+  createMfaChallenge,
+  verifyMfaChallenge,
+  remainingBackupCodes
+};